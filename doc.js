@@ -19,10 +19,134 @@
  */
 var DOCJS = {};
 
+// Commands added with DOCJS.registerCommand
+DOCJS.customCommands = [];
+
+// The built-in commands in parse order: the DOCJS.Block property they are stored in, their tags without the at sign, and the DOCJS.Command that parses them
+DOCJS.builtinCommands = [
+    { name:"author",        tags:["author"],                         command:"AuthorCommand" },
+    { name:"brief",         tags:["brief"],                          command:"BriefCommand" },
+    { name:"classs",        tags:["class"],                          command:"ClassCommand" },
+    { name:"deprecated",    tags:["deprecated"],                     command:"DeprecatedCommand" },
+    { name:"desc",          tags:["description","desc"],             command:"DescriptionCommand" },
+    { name:"event",         tags:["event"],                          command:"EventCommand" },
+    { name:"example",       tags:["example"],                        command:"ExampleCommand" },
+    { name:"extends",       tags:["extends"],                        command:"ExtendsCommand" },
+    { name:"file",          tags:["file"],                           command:"FileCommand" },
+    { name:"fires",         tags:["fires"],                          command:"FiresCommand" },
+    { name:"func",          tags:["function","fn"],                  command:"FunctionCommand" },
+    { name:"library",       tags:["library"],                        command:"LibraryCommand" },
+    { name:"memberofStart", tags:["memberofStart","memberOfStart"],  command:"MemberofStartCommand" },
+    { name:"memberofEnd",   tags:["memberofEnd","memberOfEnd"],      command:"MemberofEndCommand" },
+    { name:"memberof",      tags:["memberof","memberOf"],            command:"MemberofCommand" },
+    { name:"method",        tags:["method"],                         command:"MethodCommand" },
+    { name:"page",          tags:["page"],                           command:"PageCommand" },
+    { name:"param",         tags:["param"],                          command:"ParamCommand" },
+    { name:"property",      tags:["property"],                       command:"PropertyCommand" },
+    { name:"ret",           tags:["return","returns"],               command:"ReturnCommand" },
+    { name:"see",           tags:["see"],                            command:"SeeCommand" },
+    { name:"suppress",      tags:["suppress"],                       command:"SuppressCommand" },
+    { name:"todo",          tags:["todo"],                           command:"TodoCommand" },
+    { name:"version",       tags:["version"],                        command:"VersionCommand" }
+];
+
+/**
+ * @function DOCJS.registerCommand
+ * @param string name Name to store the parsed commands under, in block.custom
+ * @param Array aliases The tags of the command, without the at sign
+ * @param Function parseFn Optional. Called as parseFn(block,text,tag) for each line with the tag. Returns a DOCJS.Command, or false if the line is invalid.
+ * @brief Add a custom command, so projects can use their own tags.
+ * @description Custom commands are parsed before the built-in ones. Without a parseFn, each line becomes a DOCJS.CustomCommand holding the text after the tag. Entities give access to them through getCommands(name).
+ * @example
+ * ```
+ * DOCJS.registerCommand("category",["category","cat"]);
+ * DOCJS.Generate(["file.js"]);
+ * ```
+ * @endexample
+ */
+DOCJS.registerCommand = function(name,aliases,parseFn){
+    if(typeof(name)!="string") throw new Error("Argument 1 must be string, "+typeof(name)+" given");
+    if(typeof(aliases)=="string") aliases = [aliases];
+    if(!(aliases instanceof Array) || !aliases.length) throw new Error("Argument 2 must be a non-empty Array of tags");
+    if(name in {}) throw new Error("The name "+name+" can not be used for a command");
+    var commands = DOCJS.builtinCommands.concat(DOCJS.customCommands);
+    for(var i=0; i<commands.length; i++){
+	var tags = commands[i].tags || commands[i].aliases;
+	if(commands[i].name==name)
+	    throw new Error("A command named "+name+" already exists");
+	for(var j=0; j<aliases.length; j++)
+	    if(tags.indexOf(aliases[j])!=-1)
+		throw new Error("The tag @"+aliases[j]+" is already used by the command "+commands[i].name);
+    }
+    DOCJS.customCommands.push({
+	name:name,
+	aliases:aliases,
+	parseFn:parseFn
+    });
+};
+
+// Themes added with DOCJS.registerTheme, by name
+DOCJS.themes = {};
+
+/**
+ * @function DOCJS.registerTheme
+ * @param string name Name to choose the theme by, with the theme option and in the theme switcher
+ * @param Object theme The URL of the stylesheet in theme.stylesheet. Optionally a layout function in theme.layout.
+ * @brief Add a theme: a stylesheet, and a layout for the page.
+ * @description The layout is called with the parts of the page as HTML, and returns the HTML of the whole page. Without a layout, DOCJS.defaultLayout is used. The CSS classes and ids that a stylesheet can style are listed in the README.
+ * @example
+ * ```
+ * DOCJS.registerTheme("dark",{ stylesheet:"css/dark.css" });
+ * DOCJS.Generate(["file.js"],{ theme:"dark", themeSwitcher:true });
+ * ```
+ * @endexample
+ */
+DOCJS.registerTheme = function(name,theme){
+    if(typeof(name)!="string") throw new Error("Argument 1 must be string, "+typeof(name)+" given");
+    if(!theme || typeof(theme.stylesheet)!="string") throw new Error("Argument 2 must be an Object with a stylesheet URL");
+    if(theme.layout && typeof(theme.layout)!="function") throw new Error("The layout of a theme must be a function");
+    if(DOCJS.themes.hasOwnProperty(name))
+	throw new Error("A theme named "+name+" is already registered");
+    DOCJS.themes[name] = theme;
+};
+
+/**
+ * @function DOCJS.defaultLayout
+ * @param Object parts HTML of the parts of the page: title, version, description, search, themes (the theme switcher), nav, content and footer. All but title are empty strings when not used.
+ * @return string
+ * @brief The page layout of themes that have no layout of their own: the nav to the left of the content.
+ */
+DOCJS.defaultLayout = function(parts){
+    return "<article>"+
+	"<nav><div id=\"logo\">"+
+	"<h1><span id=\"libtitle\">"+parts.title+"</span><sup id=\"libversion\">"+parts.version+"</sup></h1>"+
+	"<p id=\"libdesc\">"+parts.description+"</p>"+
+	"</div>"+parts.themes+parts.search+parts.nav+"</nav>"+
+	"<div id=\"content\">"+parts.content+"</div>"+
+	"</article>"+
+	"<footer>"+parts.footer+"</footer>";
+};
+
+DOCJS.registerTheme("lettering",{ stylesheet:"templates/lettering.css" });
+DOCJS.registerTheme("default",{
+    stylesheet:"templates/default.css",
+    // The title in a header above the content
+    layout:function(parts){
+	return "<header>"+
+	    "<h1><span id=\"libtitle\">"+parts.title+"</span> <sup id=\"libversion\">"+parts.version+"</sup></h1>"+
+	    "<p id=\"libdesc\">"+parts.description+"</p>"+
+	    "</header>"+
+	    "<nav>"+parts.themes+parts.search+parts.nav+"</nav>"+
+	    "<div id=\"content\">"+parts.content+"</div>"+
+	    "<footer>"+parts.footer+"</footer>";
+    }
+});
+
 /**
  * @function DOCJS.Generate
- * @param Array urls
+ * @param Array urls Source files, or a single JSON file made by the JSON export. The parsed JSON object may also be given directly.
  * @param Object opt
+ * @return Promise Resolved with the DOCJS.Documentation when it has been rendered. Only returned where Promise is available.
  * @brief Generate Doc.js documentation.
  * @example
  * You use the function like this:
@@ -37,15 +161,67 @@ DOCJS.Generate = function(urls,opt){
     // Options
     opt = opt || {};
     var options = {
-	title:"Hello World!", // Should these be fetched from the blocks?
-	description:"My first Doc.js documentation"
+	title:"Untitled", // Used if there is no @library block
+	description:"An untitled library doc",
+	inferFromCode:false, // Fill in names and params from the code following each block
+	autoLink:false, // Link entity names that are mentioned in texts, not only {@link name}
+	sourceViewer:true, // Show the source files, with links to them from entities, todos and errors
+	search:true, // Add a search box to the nav
+	router:true, // Show one section or entity at a time, the one in location.hash, instead of everything at once
+	theme:false, // Name of a theme in DOCJS.themes. If false, the page keeps its own stylesheet.
+	themeSwitcher:false, // Let the visitor choose a theme: true for all themes, or a list of theme names. The choice is remembered.
+	hierarchy:true, // Show the class hierarchy. It is drawn as a tree if d3 (libs/d3/d3.js) is on the page, and as a list if not.
+	templates:{}, // Templates that replace the built-in ones, by name: page, function, class, method, property, event, file, todo and error. See the README.
+	suppress:[], // Codes of diagnostics to leave out, e.g. ["unparsed-line"]
+
+	// Load a source file, calls success(text) or error()
+	loadFile:function(url,success,error){
+	    $.ajax({
+		url:url,
+		dataType:'text',
+		async:true,
+		success:success,
+		error:error
+	    });
+	},
+
+	// Called each time a file has been loaded or failed to load, with the number of files done so far
+	progress:function(numLoaded,numFiles,url){},
+
+	// Do something with the rendered HTML
+	output:function(html,doc){
+	    $("body").html(html);
+	}
     };
-    $.extend(options,opt);
-    
-    loadBlocks(urls,function(blocks,errors){
-	var doc = makeEntities(blocks,errors);
-	updateHTML(doc);
-    });
+    for(var key in opt)
+	options[key] = opt[key];
+
+    // The themes to choose from, and the one to use: the one chosen earlier in the theme switcher, or else the theme option
+    var switcherThemes = [];
+    if(options.themeSwitcher===true){
+	for(var name in DOCJS.themes)
+	    switcherThemes.push(name);
+    } else if(options.themeSwitcher)
+	switcherThemes = options.themeSwitcher;
+    var usedThemes = options.theme ? switcherThemes.concat([options.theme]) : switcherThemes;
+    for(var i=0; i<usedThemes.length; i++)
+	if(!DOCJS.themes.hasOwnProperty(usedThemes[i]))
+	    throw new Error("Unknown theme "+usedThemes[i]+", register it with DOCJS.registerTheme");
+    // The templates option may only replace built-in templates
+    var templateNames = Object.keys(updateHTML(false));
+    for(var name in options.templates)
+	if(templateNames.indexOf(name)==-1)
+	    throw new Error("Unknown template "+name+", the templates are: "+templateNames.join(", "));
+    var themeName = options.theme, themeStorageKey = "docjs-theme";
+    if(switcherThemes.length){
+	var chosen = false;
+	try { chosen = localStorage.getItem(themeStorageKey); } catch(e){} // No localStorage, e.g. in Node.js
+	if(switcherThemes.indexOf(chosen)!=-1)
+	    themeName = chosen;
+	else if(!themeName)
+	    themeName = switcherThemes[0];
+    }
+    var theme = themeName ? DOCJS.themes[themeName] : false;
 
     var idCount = 0;
     function newId(){
@@ -57,6 +233,8 @@ DOCJS.Generate = function(urls,opt){
     function ltrim(s){ return s.replace(/^\s+/,''); }
     function rtrim(s){ return s.replace(/\s+$/,''); }
     function fulltrim(s){ return s.replace(/(?:(?:^|\n)\s+|\s+(?:$|\n))/g,'').replace(/\s+/g,' '); }
+    function isURL(s){ return /^((https?|ftp):\/\/|mailto:|www\.)/i.test(s); }
+    function escapeHTML(s){ return (s+"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;"); }
     function toNice(s){
 	var clean = s.replace(/[^a-zA-Z0-9\/_|+ -]+/g, '');
 	clean = trim(clean.toLowerCase());
@@ -73,12 +251,16 @@ DOCJS.Generate = function(urls,opt){
      * @param string src
      * @param string rawSrc
      * @param int lineNumber
+     * @param int rawDiff Optional. Number of lines in rawSrc before the first line of src.
      */
-    DOCJS.Block = function(src,rawSrc,lineNumber){
+    DOCJS.Block = function(src,rawSrc,lineNumber,rawDiff){
 	this.id = ++blockIdCounter;
 	// Diff between src and rawSrc in lines, needed to convert between local and global line numbers
-	var idx = rawSrc.indexOf(src);
-	this.rawDiff = (rawSrc.substr(0,idx).match(/\n/g)||[]).length;
+	if(typeof(rawDiff)=="undefined"){
+	    var idx = rawSrc.indexOf(src);
+	    rawDiff = idx==-1 ? 0 : (rawSrc.substr(0,idx).match(/\n/g)||[]).length;
+	}
+	this.rawDiff = rawDiff;
 
 	var lines, parsedLines = [], that=this;
 	function splitLines(){
@@ -89,26 +271,41 @@ DOCJS.Generate = function(urls,opt){
 	this.src = src;
 	this.rawSrc = rawSrc;
 	this.lineNumber = lineNumber;
+	this.endLineNumber = lineNumber; // Last line of the block and the code after it
 
 	this.author = [];   // @author
 	this.brief = [];    // @brief
 	this.classs = [];   // @class
+	this.deprecated = []; // @deprecated
 	this.desc = [];     // @desc, @description
 	this.event = [];    // @event
 	this.example = [];  // @example
 	this.file = [];     // @file
+	this.fires = [];    // @fires
 	this.func = [];     // @fn, @function
 	this.memberof = []; // @memberof
+	this.memberofStart = []; // @memberofStart
+	this.memberofEnd = [];   // @memberofEnd
 	this.method = [];   // @method
 	this.page = [];     // @page
 	this.param = [];    // @param, @parameter
 	this.property = []; // @property
 	this.ret = [];      // @return, @returns
 	this.see = [];      // @see
+	this.suppress = []; // @suppress
 	this.todo = [];     // @todo
+	this.custom = {};   // Commands added with DOCJS.registerCommand, by name
+
+	this.code = "";     // The code statement following the block
 
 	this.localToGlobalLineNumber = function(lineNumber){
-	    return parseInt(lineNumber) + that.lineNumber + that.rawDiff + 1;
+	    return parseInt(lineNumber) + that.lineNumber + that.rawDiff;
+	};
+	// Column of the first command on a line, counted from 1 in the source file
+	this.getCommandColumn = function(lineNumber){
+	    var raw = rawSrc.split("\n")[parseInt(lineNumber) + that.rawDiff];
+	    var idx = raw ? raw.indexOf("@") : -1;
+	    return idx==-1 ? 1 : idx+1;
 	};
 	this.markLineAsParsed = function(lineNumber){
 	    if(!that.lineIsParsed(lineNumber))
@@ -122,7 +319,7 @@ DOCJS.Generate = function(urls,opt){
 		var firstLine = (src.substring(0,start).match(/\n/gm)||[]).length;
 		var lastLine = (src.substring(start,end).match(/\n/gm)||[]).length + firstLine;
 		for(var i=firstLine; i<=lastLine; i++)
-		    that.markLineAsParsed(i+that.rawDiff);
+		    that.markLineAsParsed(i);
 	    }
 	};
 	this.lineIsParsed = function(lineNumber){
@@ -169,10 +366,23 @@ DOCJS.Generate = function(urls,opt){
     }
 
     var errorReportIdCounter = 0;
-    DOCJS.ErrorReport = function(filename,lineNumber,message){
+    /**
+     * @class DOCJS.ErrorReport
+     * @param string filename
+     * @param int lineNumber
+     * @param string message
+     * @param string code Optional. Stable name of the kind of problem, e.g. unparsed-line. Used for filtering and suppressing.
+     * @param string severity Optional. One of error, warning and info. Defaults to error.
+     * @param int column Optional. Defaults to 1.
+     * @brief A diagnostic about the documented code.
+     */
+    DOCJS.ErrorReport = function(filename,lineNumber,message,code,severity,column){
 	this.lineNumber = lineNumber;
+	this.column = column || 1;
 	this.file = filename;
 	this.message = message;
+	this.code = code || "other";
+	this.severity = severity || "error";
 	this.id = ++errorReportIdCounter;
     }
 
@@ -196,17 +406,98 @@ DOCJS.Generate = function(urls,opt){
 	    entityCounter[entityName]++;
 	this.id = entityCounter[entityName];
 	this.globalId = ++globalEntityCounter;
+
+	// Get the commands of a built-in or custom command by name
+	this.getCommands = function(name){
+	    var commands = [];
+	    for(var i=0; i<block.length; i++)
+		commands = commands.concat((block[i].custom.hasOwnProperty(name) ? block[i].custom[name] : block[i][name]) || []);
+	    return commands;
+	};
+
+	this.getAuthors = function(){
+	    var authors = this.getCommands("author"), names = [];
+	    for(var i=0; i<authors.length; i++)
+		names.push(authors[i].getContent());
+	    return names;
+	};
+
+	this.getSeeAlso = function(){ return this.getCommands("see"); };
+
+	// Names of the events given with @fires
+	this.getFiredEvents = function(){
+	    var fires = this.getCommands("fires"), names = [];
+	    for(var i=0; i<fires.length; i++)
+		names.push(fires[i].getEventName());
+	    return names;
+	};
+
+	this.isDeprecated = function(){ return this.getCommands("deprecated").length>0; };
+	this.getDeprecatedReason = function(){
+	    var d = this.getCommands("deprecated")[0];
+	    return d ? d.getReason() : false;
+	};
+	this.getDeprecatedReplacement = function(){
+	    var d = this.getCommands("deprecated")[0];
+	    return d ? d.getReplacement() : false;
+	};
+    }
+
+    /**
+     * @class DOCJS.EventEntity
+     * @param DOCJS.Block block
+     * @param DOCJS.EventCommand eventCommand
+     * @param DOCJS.MemberofCommand memberofCommand Optional
+     * @param Array paramCommands The payload of the event
+     * @param DOCJS.BriefCommand briefCommand Optional
+     * @param DOCJS.DescriptionCommand descriptionCommand Optional
+     * @extends DOCJS.Entity
+     */
+    DOCJS.EventEntity = function(block,
+				 eventCommand,
+				 memberofCommand, // optional
+				 paramCommands,
+				 briefCommand, // optional
+				 descriptionCommand // optional
+				){
+	DOCJS.Entity.call(this,block);
+	paramCommands = paramCommands || [];
+	this.getName = function(){ return eventCommand.getName(); };
+	this.getClassName = function(){ return memberofCommand ? memberofCommand.getClassName() : false; };
+	this.getBrief = function(){ return briefCommand ? briefCommand.getContent() : false; };
+	this.getDescription = function(){
+	    if(descriptionCommand) return descriptionCommand.getContent();
+	    return eventCommand.getDescription() ? eventCommand.getDescription() : false;
+	};
+
+	this.numParams = function(){ return paramCommands.length; };
+	this.getParamDataType = function(i){ return paramCommands[i].getDataType(); };
+	this.getParamName = function(i){ return paramCommands[i].getName(); };
+	this.getParamDescription = function(i){ return paramCommands[i].getDescription(); };
     }
 
     /**
      * @class DOCJS.FileEntity
      * @param DOCJS.Block block
      * @param DOCJS.FileCommand fileCommand
+     * @param DOCJS.BriefCommand briefCommand Optional
+     * @param DOCJS.DescriptionCommand descriptionCommand Optional
      * @extends DOCJS.Entity
      */
-    DOCJS.FileEntity = function(block,fileCommand){
+    DOCJS.FileEntity = function(block,
+				fileCommand,
+				briefCommand, // optional
+				descriptionCommand // optional
+			       ){
 	DOCJS.Entity.call(this,block);
 	this.getName = function(){ return fileCommand.getName(); };
+	// The source file that the block is in
+	this.getFilename = function(){ return block[0].filename; };
+	this.getBrief = function(){ return briefCommand ? briefCommand.getContent() : false; };
+	this.getDescription = function(){
+	    if(descriptionCommand) return descriptionCommand.getContent();
+	    return fileCommand.getDescription();
+	};
     }
 
     /**
@@ -275,6 +566,7 @@ DOCJS.Generate = function(urls,opt){
      * @param DOCJS.ParamCommand param
      * @param DOCJS.BriefCommand brief
      * @param DOCJS.ReturnCommand return
+     * @param DOCJS.DescriptionCommand description Optional
      * @extends DOCJS.Entity
      */
     DOCJS.MethodEntity = function(block,
@@ -282,7 +574,9 @@ DOCJS.Generate = function(urls,opt){
 				  memberofCommand,
 				  paramCommands,
 				  briefCommand,
-				  returnCommand){
+				  returnCommand,
+				  descriptionCommand // optional
+				 ){
 	DOCJS.Entity.call(this,block);
 	this.getName = function(){ return methodCommand.getName(); };
 	this.getClassName = function(){ return memberofCommand.getClassName(); };
@@ -290,9 +584,12 @@ DOCJS.Generate = function(urls,opt){
 	this.numParams = function(){ return paramCommands.length; };
 	this.getParamDataType = function(i){ return paramCommands[i].getDataType(); };
 	this.getParamName = function(i){ return paramCommands[i].getName(); };
+	this.getParamDescription = function(i){ return paramCommands[i].getDescription(); };
 
-	this.getBrief = function(){ return briefCommand.getContent(); };
+	this.getBrief = function(){ return briefCommand ? briefCommand.getContent() : false; };
+	this.getDescription = function(){ return descriptionCommand ? descriptionCommand.getContent() : false; };
 	this.getReturnDataType = function(){ return returnCommand ? returnCommand.getDataType() : false; };
+	this.getReturnDescription = function(){ return returnCommand ? returnCommand.getDescription() : false; };
     }
 
     /**
@@ -326,8 +623,10 @@ DOCJS.Generate = function(urls,opt){
      */
     DOCJS.TodoEntity = function(block,todoCommand){
 	DOCJS.Entity.call(this,block);
+	var entity = false;
 	this.getContent = function(){ return todoCommand.getContent(); };
 	this.setEntity = function(e){ entity = e; };
+	this.getEntity = function(){ return entity; };
 	this.getLine = function(){ return todoCommand.getBlock().lineNumber; };
     }
 
@@ -353,6 +652,7 @@ DOCJS.Generate = function(urls,opt){
 	}
 	var methodEntities = [];
 	var propertyEntities = [];
+	var eventEntities = [];
 	DOCJS.Entity.call(this,block);
 	this.getName = function(){ return classCommand.getName(); };
 
@@ -364,16 +664,50 @@ DOCJS.Generate = function(urls,opt){
 	this.numParams = function(){ return paramCommands.length; };
 	this.getParamDataType = function(i){ return paramCommands[i].getDataType(); };
 	this.getParamName = function(i){ return paramCommands[i].getName(); };
+	this.getParamDescription = function(i){ return paramCommands[i].getDescription(); };
 	this.addParam = function(p){ paramCommands.push(p); };
 
 	this.getExtendedClassName = function(){ return extendsCommand ? extendsCommand.getClassName() : false; };
 
 	this.numProperties = function(){ return propertyEntities.length; };
 	this.addProperty = function(m){ propertyEntities.push(m); };
+	this.getProperty = function(i){ return propertyEntities[i]; };
+
+	this.numEvents = function(){ return eventEntities.length; };
+	this.getEvent = function(i){ return eventEntities[i]; };
+	// Add an event. An event with the same name is replaced, so that a separate @event block can add details to an @event line in the class block.
+	this.addEvent = function(e){
+	    for(var i=0; i<eventEntities.length; i++){
+		if(eventEntities[i].getName()==e.getName()){
+		    eventEntities[i] = e;
+		    return;
+		}
+	    }
+	    eventEntities.push(e);
+	};
+	this.getEventByName = function(name){
+	    for(var i=0; i<eventEntities.length; i++)
+		if(eventEntities[i].getName()==name)
+		    return eventEntities[i];
+	    return false;
+	};
+	this.getMethodByName = function(name){
+	    for(var i=0; i<methodEntities.length; i++)
+		if(methodEntities[i].getName()==name)
+		    return methodEntities[i];
+	    return false;
+	};
+	this.getPropertyByName = function(name){
+	    for(var i=0; i<propertyEntities.length; i++)
+		if(propertyEntities[i].getName()==name)
+		    return propertyEntities[i];
+	    return false;
+	};
 	this.getPropertyName = function(i){ return propertyEntities[i].getName(); };
 	this.getPropertyDataType = function(i){ return propertyEntities[i].getDataType(); };
 	this.getPropertyBrief = function(i){ return propertyEntities[i].getBrief(); };
 	this.getBrief = function(){ return briefCommand ? briefCommand.getContent() : false; };
+	this.getDescription = function(){ return descriptionCommand ? descriptionCommand.getContent() : false; };
 
 	this.numExamples = function(){ return exampleCommands ? exampleCommands.length : 0; };
 	this.getExampleText = function(i){ return exampleCommands[i].getContent(); };
@@ -397,19 +731,27 @@ DOCJS.Generate = function(urls,opt){
      * @class DOCJS.Documentation
      */
     DOCJS.Documentation = function(){
-	var name2class, name2entity, that = this;
+	var name2class, name2entity, name2subclasses, that = this;
 	this.pages = [];
 	this.classes = [];
-	this.files = [];
+	this.files = []; // FileEntity's, from @file blocks
+	this.filenames = []; // Names of the loaded source files, in load order
+	this.sources = {}; // filename => source text, for the files that were loaded
 	this.functions = [];
 	this.library = false;
 	this.todos = [];
-	this.errors = [];
+	this.errors = []; // ErrorReport's, of all severities
+	this.suppressed = []; // ErrorReport's that were suppressed
 	this.methods = [];
+	this.events = [];
 	this.properties = [];
 	this.update = function(){
 	    name2entity = {};
 
+	    // Pages. Other entities with the same name take precedence.
+	    for(var i=0; i<this.pages.length; i++)
+		name2entity[this.pages[i].getName()] = this.pages[i];
+
 	    // Classes
 	    name2class = {};
 	    var N = this.classes.length;
@@ -420,6 +762,13 @@ DOCJS.Generate = function(urls,opt){
 		name2entity[n] = c;
 	    }
 
+	    // Functions, and class members as ClassName.memberName
+	    for(var i=0; i<this.functions.length; i++)
+		name2entity[this.functions[i].getName()] = this.functions[i];
+	    var members = this.methods.concat(this.properties);
+	    for(var i=0; i<members.length; i++)
+		name2entity[members[i].getClassName()+"."+members[i].getName()] = members[i];
+
 	    // Sort
 	    var sortbyname = function(a,b){
 		if(a.getName() > b.getName()) return 1;
@@ -429,6 +778,16 @@ DOCJS.Generate = function(urls,opt){
 	    that.pages.sort(sortbyname);
 	    that.classes.sort(sortbyname);
 	    that.functions.sort(sortbyname);
+
+	    // Reverse index of @extends: name of the extended class => the classes that extend it, sorted by name
+	    name2subclasses = {};
+	    for(var i=0; i<that.classes.length; i++){
+		var parent = that.classes[i].getExtendedClassName();
+		if(!parent) continue;
+		if(!name2subclasses.hasOwnProperty(parent))
+		    name2subclasses[parent] = [];
+		name2subclasses[parent].push(that.classes[i]);
+	    }
 	};
 	this.nameToClass = function(name){
 	    var c = name2class[name];
@@ -440,26 +799,557 @@ DOCJS.Generate = function(urls,opt){
 	    if(c) return c;
 	    else return false;
 	}
+	// All names that nameToEntity knows
+	this.getNames = function(){
+	    var names = [];
+	    for(var name in name2entity)
+		names.push(name);
+	    return names;
+	};
 
 	function recurseInheritance(name,nameList){
 	    nameList.push(name);
 	    var c = that.nameToClass(name);
 	    if(!c) return;
 	    var extended = c.getExtendedClassName();
-	    if(!extended) return;
+	    if(!extended || nameList.indexOf(extended)!=-1) return; // Stop at classes that extend each other in a loop
 	    recurseInheritance(extended,nameList);
 	}
+	// Find an event by name. Plain names are looked up in the given class and the classes it extends, then among the events that belong to no class.
+	this.findEvent = function(name,className){
+	    var idx = name.lastIndexOf(".");
+	    if(idx!=-1){
+		className = name.substr(0,idx);
+		name = name.substr(idx+1);
+	    }
+	    if(className){
+		var c = that.nameToClass(className);
+		var chain = c ? that.getInheritanceList(c) : [];
+		for(var i=0; i<chain.length; i++){
+		    var parent = that.nameToClass(chain[i]);
+		    if(parent && parent.getEventByName(name))
+			return parent.getEventByName(name);
+		}
+	    }
+	    for(var i=0; i<that.events.length; i++)
+		if(!that.events[i].getClassName() && that.events[i].getName()==name)
+		    return that.events[i];
+	    return false;
+	};
+	// Get a list of { name:authorName, entities:[...] } with the pages, classes, functions and methods each author wrote
+	this.getAuthors = function(){
+	    var all = that.pages.concat(that.classes,that.functions,that.methods), byName = {}, authors = [];
+	    for(var i=0; i<all.length; i++){
+		var names = all[i].getAuthors();
+		for(var j=0; j<names.length; j++){
+		    if(!byName.hasOwnProperty(names[j])){
+			byName[names[j]] = { name:names[j], entities:[] };
+			authors.push(byName[names[j]]);
+		    }
+		    byName[names[j]].entities.push(all[i]);
+		}
+	    }
+	    authors.sort(function(a,b){
+		return a.name > b.name ? 1 : (a.name < b.name ? -1 : 0);
+	    });
+	    return authors;
+	};
+	// Get the entity that a @see command points to. The whole text is tried first, since page names may contain spaces.
+	this.seeToEntity = function(see){
+	    return that.nameToEntity(see.getText()) || that.nameToEntity(see.getTarget());
+	};
+	// Get the FileEntity of a source file, or false if it has no @file block
+	this.fileToEntity = function(filename){
+	    for(var i=0; i<that.files.length; i++)
+		if(that.files[i].getFilename()==filename)
+		    return that.files[i];
+	    return false;
+	};
+	// Get the pages, classes, functions, methods, properties and events. Class events that were replaced by a more detailed @event block are left out.
+	this.getEntities = function(){
+	    var all = that.pages.concat(that.classes,that.functions,that.methods,that.properties);
+	    for(var i=0; i<that.events.length; i++){
+		var e = that.events[i], owner = e.getClassName() && that.nameToClass(e.getClassName());
+		if(!owner || owner.getEventByName(e.getName())===e)
+		    all.push(e);
+	    }
+	    return all;
+	};
+
+	// Get a list of { filename, file:FileEntity or false, entities:[...], todos:[...], errors:[...] } for each source file.
+	// The entities are in line order.
+	this.getFiles = function(){
+	    var byName = {}, files = [];
+	    function getFile(filename){
+		if(!filename) return false;
+		if(!(filename in byName)){
+		    byName[filename] = {
+			filename:filename,
+			file:that.fileToEntity(filename),
+			entities:[],
+			todos:[],
+			errors:[]
+		    };
+		    files.push(byName[filename]);
+		}
+		return byName[filename];
+	    }
+	    for(var i=0; i<that.filenames.length; i++)
+		getFile(that.filenames[i]);
+
+	    var all = that.getEntities();
+	    for(var i=0; i<all.length; i++){
+		var file = getFile(all[i].block[0].filename);
+		if(file) file.entities.push(all[i]);
+	    }
+	    for(var i=0; i<that.todos.length; i++){
+		var file = getFile(that.todos[i].block[0].filename);
+		if(file) file.todos.push(that.todos[i]);
+	    }
+	    for(var i=0; i<that.errors.length; i++){
+		var file = getFile(that.errors[i].file);
+		if(file) file.errors.push(that.errors[i]);
+	    }
+
+	    var byLine = function(a,b){
+		return (a.block[0].lineNumber-b.block[0].lineNumber) || (a.globalId-b.globalId);
+	    };
+	    for(var i=0; i<files.length; i++)
+		files[i].entities.sort(byLine);
+	    return files;
+	};
+	this.getDeprecated = function(){
+	    var all = that.functions.concat(that.classes,that.methods,that.properties), deprecated = [];
+	    for(var i=0; i<all.length; i++)
+		if(all[i].isDeprecated())
+		    deprecated.push(all[i]);
+	    return deprecated;
+	};
 	this.getInheritanceList = function(classs){
 	    var list = [];
 	    recurseInheritance(classs.getName(),list);
 	    return list;
 	};
+
+	// Get the classes that extend a class directly, sorted by name. The class may be given by name, also if it is not documented.
+	this.getSubclasses = function(classs){
+	    var name = typeof(classs)=="string" ? classs : classs.getName();
+	    return name2subclasses.hasOwnProperty(name) ? name2subclasses[name].slice(0) : [];
+	};
+	// Get all classes that extend a class, directly or through other classes. Nearest first, and by name for the same distance.
+	this.getDescendants = function(classs){
+	    var name = typeof(classs)=="string" ? classs : classs.getName();
+	    var descendants = [], seen = {}, queue = that.getSubclasses(name);
+	    seen[name] = true;
+	    while(queue.length){
+		var c = queue.shift();
+		if(seen.hasOwnProperty(c.getName())) continue; // Classes that extend each other in a loop
+		seen[c.getName()] = true;
+		descendants.push(c);
+		queue = queue.concat(that.getSubclasses(c));
+	    }
+	    return descendants;
+	};
+
+	// Get the methods and properties that a class inherits, grouped by the class they come from, nearest first: [{ class:ClassEntity, methods:[...], properties:[...] }].
+	// Members that the class, or a class nearer to it in the chain, overrides are left out. Undocumented classes in the chain are skipped.
+	this.getInheritedMembers = function(classs){
+	    var chain = that.getInheritanceList(classs), groups = [], methods = {}, properties = {};
+	    for(var i=0; i<chain.length; i++){
+		var c = that.nameToClass(chain[i]);
+		if(!c) continue;
+		var group = { "class":c, methods:[], properties:[] };
+		for(var j=0; j<c.numMethods(); j++){
+		    var name = c.getMethod(j).getName();
+		    if(!methods.hasOwnProperty(name))
+			group.methods.push(c.getMethod(j));
+		    methods[name] = true;
+		}
+		for(var j=0; j<c.numProperties(); j++){
+		    var name = c.getProperty(j).getName();
+		    if(!properties.hasOwnProperty(name))
+			group.properties.push(c.getProperty(j));
+		    properties[name] = true;
+		}
+		if(i>0 && (group.methods.length || group.properties.length))
+		    groups.push(group);
+	    }
+	    return groups;
+	};
+
+	// Get the method or property that a method or property overrides: the one with the same name in the nearest class that its class extends. False if there is none.
+	this.getOverriddenMember = function(member){
+	    var owner = that.nameToClass(member.getClassName());
+	    if(!owner) return false;
+	    var chain = that.getInheritanceList(owner);
+	    for(var i=1; i<chain.length; i++){
+		var c = that.nameToClass(chain[i]);
+		if(!c) continue;
+		var overridden = member instanceof DOCJS.MethodEntity ? c.getMethodByName(member.getName()) : c.getPropertyByName(member.getName());
+		if(overridden) return overridden;
+	    }
+	    return false;
+	};
+
+	// Get the classes as trees that follow @extends: a list of roots, each { name, class:ClassEntity or false, children:[...] }, sorted by name.
+	// A class that extends an undocumented class is a child of a node for it, with class false. Classes that extend each other in a loop are roots.
+	this.getHierarchy = function(){
+	    var roots = [], placed = {}; // Names already in the tree, for classes documented twice
+	    function inLoop(c){
+		var seen = {}, name = c.getName();
+		while(name && !seen.hasOwnProperty(name)){
+		    seen[name] = true;
+		    var parent = that.nameToClass(name);
+		    name = parent ? parent.getExtendedClassName() : false;
+		}
+		return name==c.getName();
+	    }
+	    function node(name){
+		var children = [], subclasses = that.getSubclasses(name);
+		placed[name] = true;
+		for(var i=0; i<subclasses.length; i++)
+		    if(!placed.hasOwnProperty(subclasses[i].getName()) && !inLoop(subclasses[i]))
+			children.push(node(subclasses[i].getName()));
+		return { name:name, "class":that.nameToClass(name), children:children };
+	    }
+	    for(var i=0; i<that.classes.length; i++){
+		var c = that.classes[i];
+		if(!placed.hasOwnProperty(c.getName()) && (!c.getExtendedClassName() || inLoop(c)))
+		    roots.push(node(c.getName()));
+	    }
+	    for(var name in name2subclasses)
+		if(!that.nameToClass(name))
+		    roots.push(node(name));
+	    var byName = function(a,b){ return a.name > b.name ? 1 : (a.name < b.name ? -1 : 0); };
+	    return roots.sort(byName);
+	};
+
+	/**
+	 * @method getCoverage
+	 * @memberof DOCJS.Documentation
+	 * @return Object
+	 * @brief Get how much of the functions, methods and properties is documented: in total, per file and per class. The format is described in the README.
+	 */
+	this.getCoverage = function(){
+	    var coverage = { total:newStats({}), files:[], classes:[], undescribedParams:[] }, byFile = {}, byClass = {};
+	    for(var i=0; i<that.filenames.length; i++){
+		byFile[that.filenames[i]] = newStats({ file:that.filenames[i] });
+		coverage.files.push(byFile[that.filenames[i]]);
+	    }
+	    for(var i=0; i<that.classes.length; i++){
+		var name = that.classes[i].getName();
+		byClass[name] = newStats({ name:name });
+		coverage.classes.push(byClass[name]);
+	    }
+
+	    var members = that.functions.concat(that.methods,that.properties);
+	    for(var i=0; i<members.length; i++){
+		var e = members[i], block = e.block[0], stats = [coverage.total];
+		if(!(block.filename in byFile)){
+		    byFile[block.filename] = newStats({ file:block.filename });
+		    coverage.files.push(byFile[block.filename]);
+		}
+		stats.push(byFile[block.filename]);
+		if(e.getClassName && byClass[e.getClassName()])
+		    stats.push(byClass[e.getClassName()]);
+
+		var check = function(name,documented){
+		    for(var j=0; j<stats.length; j++){
+			stats[j][name].total++;
+			if(documented) stats[j][name].documented++;
+		    }
+		};
+		for(var j=0; j<stats.length; j++)
+		    stats[j].entities++;
+		check("brief",!!e.getBrief());
+		check("description",!!e.getDescription());
+
+		// Functions and methods
+		if(e.numParams){
+		    var described = true, name = e.getClassName ? e.getClassName()+"."+e.getName() : e.getName();
+		    for(var j=0; j<e.numParams(); j++){
+			if(e.getParamDescription(j)) continue;
+			described = false;
+			coverage.undescribedParams.push({ entity:name, param:e.getParamName(j), file:block.filename, line:block.lineNumber });
+		    }
+		    if(e.numParams())
+			check("params",described);
+		    if(e.getReturnDataType())
+			check("return",!!e.getReturnDescription());
+		}
+	    }
+
+	    var all = [coverage.total].concat(coverage.files,coverage.classes);
+	    for(var i=0; i<all.length; i++){
+		var documented = 0, total = 0;
+		for(var j=0; j<coverageChecks.length; j++){
+		    documented += all[i][coverageChecks[j]].documented;
+		    total += all[i][coverageChecks[j]].total;
+		}
+		all[i].percent = total ? Math.round(documented/total*1000)/10 : 100;
+	    }
+	    return coverage;
+	};
+	function newStats(stats){
+	    stats.entities = 0;
+	    for(var i=0; i<coverageChecks.length; i++)
+		stats[coverageChecks[i]] = { documented:0, total:0 };
+	    return stats;
+	}
+
+	/**
+	 * @method toJSON
+	 * @memberof DOCJS.Documentation
+	 * @return Object
+	 * @brief Get the documentation as plain data, for other tools. The format is described in the README.
+	 */
+	this.toJSON = function(){
+	    var json = {
+		format:"docjs",
+		version:DOCJS.Documentation.JSON_VERSION,
+		library:false,
+		files:[],
+		pages:[],
+		classes:[],
+		functions:[],
+		events:[],
+		todos:[],
+		errors:[]
+	    };
+	    if(that.library){
+		json.library = entityToJSON(that.library,{
+		    version:that.library.getVersion(),
+		    brief:that.library.getBrief(),
+		    description:that.library.getDescription()
+		});
+	    }
+	    for(var i=0; i<that.files.length; i++){
+		var f = that.files[i];
+		json.files.push(entityToJSON(f,{ brief:f.getBrief(), description:f.getDescription() }));
+	    }
+	    for(var i=0; i<that.pages.length; i++){
+		var p = that.pages[i];
+		json.pages.push(entityToJSON(p,{ content:p.getContent() }));
+	    }
+	    for(var i=0; i<that.classes.length; i++){
+		var c = that.classes[i], inheritance = that.getInheritanceList(c);
+		inheritance.shift();
+		var methods = [], properties = [], events = [];
+		for(var j=0; j<c.numMethods(); j++)
+		    methods.push(functionToJSON(c.getMethod(j)));
+		for(var j=0; j<c.numProperties(); j++){
+		    var prop = c.getProperty(j);
+		    properties.push(entityToJSON(prop,{
+			dataType:prop.getDataType(),
+			brief:prop.getBrief(),
+			description:prop.getDescription()
+		    }));
+		}
+		for(var j=0; j<c.numEvents(); j++)
+		    events.push(eventToJSON(c.getEvent(j)));
+		json.classes.push(entityToJSON(c,{
+		    brief:c.getBrief(),
+		    description:c.getDescription(),
+		    "extends":c.getExtendedClassName(),
+		    inheritance:inheritance,
+		    params:paramsToJSON(c),
+		    methods:methods,
+		    properties:properties,
+		    events:events,
+		    examples:examplesToJSON(c)
+		}));
+	    }
+	    for(var i=0; i<that.functions.length; i++)
+		json.functions.push(functionToJSON(that.functions[i]));
+	    for(var i=0; i<that.events.length; i++)
+		if(!that.events[i].getClassName())
+		    json.events.push(eventToJSON(that.events[i]));
+	    for(var i=0; i<that.todos.length; i++){
+		var todo = that.todos[i], entity = todo.getEntity();
+		json.todos.push({
+		    content:todo.getContent(),
+		    entity:entity && entity.getName ? entity.getName() : false,
+		    file:todo.block[0].filename,
+		    line:todo.getLine()
+		});
+	    }
+	    for(var i=0; i<that.errors.length; i++){
+		var e = that.errors[i];
+		json.errors.push({ message:e.message, code:e.code, severity:e.severity, file:e.file, line:e.lineNumber, column:e.column });
+	    }
+	    json.coverage = that.getCoverage();
+	    return json;
+	};
+
+	// Properties that all entities have, plus the given ones
+	function entityToJSON(entity,props){
+	    var block = entity.block[0], see = entity.getSeeAlso(), json = {};
+	    if(entity.getName) json.name = entity.getName();
+	    if(entity.getClassName) json.memberof = entity.getClassName();
+	    for(var key in props)
+		json[key] = props[key];
+	    json.authors = entity.getAuthors();
+	    json.see = [];
+	    for(var i=0; i<see.length; i++)
+		json.see.push(see[i].getText());
+	    json.deprecated = entity.isDeprecated() ? {
+		reason:entity.getDeprecatedReason(),
+		replacement:entity.getDeprecatedReplacement()
+	    } : false;
+	    json.file = block.filename;
+	    json.line = block.lineNumber;
+	    return json;
+	}
+	function paramsToJSON(entity){
+	    var params = [];
+	    for(var i=0; i<entity.numParams(); i++){
+		params.push({
+		    name:entity.getParamName(i),
+		    dataType:entity.getParamDataType(i),
+		    description:entity.getParamDescription(i)
+		});
+	    }
+	    return params;
+	}
+	function examplesToJSON(entity){
+	    var examples = [];
+	    for(var i=0; i<entity.numExamples(); i++)
+		examples.push(entity.getExampleText(i));
+	    return examples;
+	}
+	// Functions and methods
+	function functionToJSON(f){
+	    return entityToJSON(f,{
+		brief:f.getBrief(),
+		description:f.getDescription(),
+		params:paramsToJSON(f),
+		"return":f.getReturnDataType() ? { dataType:f.getReturnDataType(), description:f.getReturnDescription() } : false,
+		fires:f.getFiredEvents(),
+		examples:f.numExamples ? examplesToJSON(f) : []
+	    });
+	}
+	function eventToJSON(e){
+	    return entityToJSON(e,{
+		brief:e.getBrief(),
+		description:e.getDescription(),
+		params:paramsToJSON(e)
+	    });
+	}
     };
     
 
+    // Version of the format returned by Documentation.toJSON. Bump when it changes in a way that breaks readers.
+    DOCJS.Documentation.JSON_VERSION = 1;
+
+    // What Documentation.getCoverage checks, for each function, method and property that it applies to.
+    var coverageChecks = ["brief","description","params","return"];
+
+    // The commands that each kind of block may contain, after the command combination table in the README.
+    // The kind of a block is given by the first of these kind commands that it has, in this order, the same order as in makeEntities.
+    // A * after a command means that it may be given more than once.
+    var blockRules = [
+	{ kind:"page",     requires:[],           optional:["author*","see*"] },
+	{ kind:"classs",   requires:[],           optional:["author*","brief","desc","event*","extends","param*","see*","example*","deprecated"] },
+	{ kind:"file",     requires:[],           optional:["author*","brief","desc","see*"] },
+	{ kind:"library",  requires:[],           optional:["author*","brief","desc","version"] },
+	{ kind:"func",     requires:[],           optional:["author*","brief","desc","fires*","param*","ret","see*","example*","deprecated"] },
+	{ kind:"method",   requires:["memberof"], optional:["author*","brief","desc","fires*","param*","ret","see*","deprecated"] },
+	{ kind:"property", requires:["memberof"], optional:["author*","brief","desc","see*","deprecated"] },
+	{ kind:"event",    requires:[],           optional:["brief","desc","memberof","param*"] }
+    ];
+    // Commands that may be in any block
+    var anyBlockCommands = ["todo*","suppress*","memberofStart","memberofEnd"];
+    // The tags of the built-in commands, by Block property
+    var commandTags = {};
+    for(var i=0; i<DOCJS.builtinCommands.length; i++)
+	commandTags[DOCJS.builtinCommands[i].name] = "@"+DOCJS.builtinCommands[i].tags.join("|@");
+
+    // Check a block against blockRules, and add a diagnostic for each command that is missing, not allowed or given too many times
+    function lintBlock(block,errors){
+	var rule = false;
+	for(var i=0; i<blockRules.length && !rule; i++)
+	    if(block[blockRules[i].kind].length)
+		rule = blockRules[i];
+
+	// Commands with a * may be repeated
+	var allowed = {};
+	var names = (rule ? [rule.kind].concat(rule.requires,rule.optional) : []).concat(anyBlockCommands);
+	for(var i=0; i<names.length; i++)
+	    allowed[names[i].replace("*","")] = names[i].charAt(names[i].length-1)=="*";
+
+	if(!rule){
+	    var unused = [];
+	    for(var name in commandTags)
+		if(!(name in allowed) && written(name).length)
+		    unused.push(tag(name));
+	    if(unused.length)
+		errors.push(new DOCJS.ErrorReport(block.filename,
+						  block.lineNumber,
+						  "The block has "+unused.join(", ")+" but no "+kindTags()+" command, so it is ignored.",
+						  "missing-kind","warning"));
+	    return;
+	}
+
+	var reports = [];
+	for(var i=0; i<rule.requires.length; i++){
+	    if(!block[rule.requires[i]].length)
+		report(false,"missing-"+tag(rule.requires[i]).substr(1),"error",
+		       tag(rule.kind)+" blocks require "+tag(rule.requires[i])+".");
+	}
+	for(var name in commandTags){
+	    var commands = written(name);
+	    if(!commands.length) continue;
+	    if(!(name in allowed))
+		report(line(name,0),"disallowed-"+tag(name).substr(1),"warning",
+		       tag(name)+" can not be used in "+tag(rule.kind)+" blocks, it is ignored.");
+	    else if(!allowed[name] && commands.length>1)
+		report(line(name,1),"duplicate-"+tag(name).substr(1),"warning",
+		       tag(name)+" may only be given once in "+tag(rule.kind)+" blocks, only the first one is used.");
+	}
+	reports.sort(function(a,b){ return (a.lineNumber-b.lineNumber) || (a.id-b.id); });
+	for(var i=0; i<reports.length; i++)
+	    errors.push(reports[i]);
+
+	// The commands that are written in the block, not implied by a member region
+	function written(name){
+	    var commands = [];
+	    for(var i=0; i<block[name].length; i++)
+		if(!(block[name][i].isImplicit && block[name][i].isImplicit()))
+		    commands.push(block[name][i]);
+	    return commands;
+	}
+	function tag(name){
+	    return commandTags[name].split("|")[0];
+	}
+	function kindTags(){
+	    var tags = [];
+	    for(var i=0; i<blockRules.length; i++)
+		tags.push(tag(blockRules[i].kind));
+	    return tags.slice(0,-1).join(", ")+" or "+tags[tags.length-1];
+	}
+	// Local line number of the n'th time a command is written in the block, or false if it was not written, e.g. when inferred from the code
+	function line(name,n){
+	    var pattern = new RegExp("("+commandTags[name]+")(?![\\w])");
+	    for(var i=0; i<block.getNumLines(); i++)
+		if(pattern.test(block.getLine(i)) && n-- == 0)
+		    return i;
+	    return false;
+	}
+	function report(local,code,severity,message){
+	    reports.push(new DOCJS.ErrorReport(block.filename,
+					      local===false ? block.lineNumber : block.localToGlobalLineNumber(local),
+					      message,
+					      code,
+					      severity,
+					      local===false ? 1 : block.getCommandColumn(local)));
+	}
+    }
+
     // Assembles Entity's out of Block's
-    function makeEntities(blocks,errors){
+    function makeEntities(blocks,errors,filenames,sources){
 	var doc = new DOCJS.Documentation();
+	doc.filenames = filenames || [];
+	doc.sources = sources || {};
 
 	// Add errors to the doc
 	for(var i=0; i<errors.length; i++)
@@ -468,6 +1358,7 @@ DOCJS.Generate = function(urls,opt){
 	// Assemble Entities
 	for(var i=0; i<blocks.length; i++){
 	    var entity, block = blocks[i];
+	    lintBlock(block,doc.errors);
 
 	    // Find block type
 	    if(block.page.length){ // Page
@@ -485,11 +1376,6 @@ DOCJS.Generate = function(urls,opt){
 		doc.pages.push(entity);
 		
 	    } else if(block.classs.length){ // Class
-		if(block.ret.length)
-		    doc.errors.push(new DOCJS.ErrorReport(block.filename,
-							  block.lineNumber,
-							  "@class blocks may not contain @return"));
-
 		// May only contain 1 @class command
 		var entity = new DOCJS.ClassEntity([block],
 						   block.classs[0],
@@ -500,7 +1386,26 @@ DOCJS.Generate = function(urls,opt){
 						   block.example);
 		doc.classes.push(entity);
 
+		// Events listed in the class block
+		for(var j=0; j<block.event.length; j++){
+		    var memberof = new DOCJS.MemberofCommand(block,block.classs[0].getName(),true);
+		    doc.events.push(new DOCJS.EventEntity([block],block.event[j],memberof));
+		}
+
 	    } else if(block.file.length){ // File
+		var other = doc.fileToEntity(block.filename);
+		if(other)
+		    doc.errors.push(new DOCJS.ErrorReport(block.filename,
+							  block.lineNumber,
+							  "A file may only have one @file block, there is already one on line "+other.block[0].lineNumber+".",
+							  "duplicate-file","warning"));
+		else {
+		    entity = new DOCJS.FileEntity([block],
+						  block.file[0],
+						  block.brief[0],
+						  block.desc[0]);
+		    doc.files.push(entity);
+		}
 
 	    } else if(block.library.length){ // Library
 
@@ -522,30 +1427,35 @@ DOCJS.Generate = function(urls,opt){
 		doc.functions.push(entity);
 
 	    } else if(block.method.length){ // Method
-		if(block.memberof.length==1){
-		    entity = new MethodEntity([block],
-					      block.method[0],
-					      block.memberof[0],
-					      block.param,
-					      block.brief[0],
-					      block.ret[0]);
+		if(block.memberof.length){
+		    entity = new DOCJS.MethodEntity([block],
+						    block.method[0],
+						    block.memberof[0],
+						    block.param,
+						    block.brief[0],
+						    block.ret[0],
+						    block.desc[0]);
 		    doc.methods.push(entity);
 		}
 
-		
 	    } else if(block.property.length){ // Property
-		if(block.memberof.length!=1)
-		    doc.errors.push(new DOCJS.ErrorReport(block.filename,
-						    block.lineNumber,
-						    "A @property block requires exactly 1 @memberof command, got "+block.memberof.length+"."));
-		else {
-		    entity = new PropertyEntity([block],
+		if(block.memberof.length){
+		    entity = new DOCJS.PropertyEntity([block],
 						block.property[0],
 						block.memberof[0],
 						block.brief[0],
 						block.desc[0]);
 		    doc.properties.push(entity);
 		}
+
+	    } else if(block.event.length){ // Event
+		entity = new DOCJS.EventEntity([block],
+					       block.event[0],
+					       block.memberof[0],
+					       block.param,
+					       block.brief[0],
+					       block.desc[0]);
+		doc.events.push(entity);
 	    }
 		
 	    // Check for todos
@@ -567,26 +1477,124 @@ DOCJS.Generate = function(urls,opt){
 		}
 	    }
 	    if(count){
-		var message = "There was unparsed code:\n\n";
+		var message = "There was unparsed code:\n\n", first = false;
 		for(var j in unparsed){
 		    message += "Line "+j+": "+unparsed[j]+"\n";
+		    if(first===false) first = j;
 		}
+		// Point at the first unparsed line: at its tag if it has one, else at its text after the comment markers
+		var local = first - block.localToGlobalLineNumber(0);
+		var raw = block.rawSrc.split("\n")[local + block.rawDiff] || "";
+		var column = raw.indexOf("@")!=-1 ? block.getCommandColumn(local) : raw.match(/^[\s*\/]*/)[0].length+1;
 		doc.errors.push(new DOCJS.ErrorReport(block.filename,
-						      block.lineNumber,
-						      message));
+						      parseInt(first),
+						      message,
+						      "unparsed-line","warning",column));
 	    }
 	}
 
 	doc.update();
+	attachMembers(doc);
+
+	// Check that @see targets exist. Entities can share a block, e.g. a class and its events, so check each command once.
+	var all = doc.pages.concat(doc.classes,doc.functions,doc.methods,doc.properties,doc.events), checked = [];
+	for(var i=0; i<all.length; i++){
+	    var see = all[i].getSeeAlso();
+	    for(var j=0; j<see.length; j++){
+		if(checked.indexOf(see[j])!=-1) continue;
+		checked.push(see[j]);
+		var target = see[j].getTarget(), seeBlock = see[j].getBlock();
+		if(!isURL(target) && !doc.seeToEntity(see[j]))
+		    doc.errors.push(new DOCJS.ErrorReport(seeBlock.filename,
+							  seeBlock.localToGlobalLineNumber(see[j].getLineNumber()),
+							  "Could not resolve the @see target "+target+". Use the name of a page, class, function, ClassName.methodName, or a URL.",
+							  "unresolved-see","warning",seeBlock.getCommandColumn(see[j].getLineNumber())));
+	    }
+	}
+
+	// Check that @fires events exist
+	var firing = doc.functions.concat(doc.methods);
+	for(var i=0; i<firing.length; i++){
+	    var fires = firing[i].getCommands("fires");
+	    for(var j=0; j<fires.length; j++){
+		var className = firing[i] instanceof DOCJS.MethodEntity ? firing[i].getClassName() : false, firesBlock = fires[j].getBlock();
+		if(!doc.findEvent(fires[j].getEventName(),className))
+		    doc.errors.push(new DOCJS.ErrorReport(firesBlock.filename,
+							  firesBlock.localToGlobalLineNumber(fires[j].getLineNumber()),
+							  "Could not find the event "+fires[j].getEventName()+" given with @fires. Document it with @event.",
+							  "unresolved-fires","warning",firesBlock.getCommandColumn(fires[j].getLineNumber())));
+	    }
+	}
+
+	// Check that {@link} targets exist. Code, in fences or in backticks, is not linked and not checked.
+	for(var i=0; i<blocks.length; i++){
+	    var block = blocks[i], inFence = false, rawLines = block.rawSrc.split("\n");
+	    for(var j=0; j<block.getNumLines(); j++){
+		var line = block.getLine(j);
+		if(line.match(/^\s*(\*\s*)?```/)){
+		    inFence = !inFence;
+		    continue;
+		}
+		if(inFence) continue;
+		line = line.replace(/`[^`]*`/g,function(code){ return new Array(code.length+1).join(" "); });
+		var link = /\{@link\s+([^}|]+?)(?:\s*\|\s*([^}]*))?\s*\}/g, result;
+		while((result = link.exec(line)) !== null){
+		    // Same as in linkify: the whole text may be a name with spaces, else the first word is the name
+		    var name = result[1];
+		    if(doc.nameToEntity(name) || (!result[2] && name.match(/\s/) && doc.nameToEntity(name.substr(0,name.search(/\s/)))))
+			continue;
+		    var column = (rawLines[j+block.rawDiff] || "").indexOf(result[0]);
+		    doc.errors.push(new DOCJS.ErrorReport(block.filename,
+							  block.localToGlobalLineNumber(j),
+							  "Could not resolve the {@link} target "+name.split(/\s/)[0]+". Use the name of a page, class, function, ClassName.methodName or ClassName.propertyName.",
+							  "unresolved-link","warning",column==-1 ? block.getCommandColumn(j) : column+1));
+		}
+	    }
+	}
+
+	suppressDiagnostics(doc,blocks);
+	return doc;
+    }
+
+    // Move the diagnostics whose codes are given in options.suppress or in a @suppress command to doc.suppressed.
+    // A @suppress command applies to its own block and the code after it, or to the whole file when it is in a @file block.
+    function suppressDiagnostics(doc,blocks){
+	var rules = [];
+	for(var i=0; i<blocks.length; i++){
+	    var block = blocks[i];
+	    for(var j=0; j<block.suppress.length; j++){
+		rules.push({
+		    codes:block.suppress[j].getCodes(),
+		    file:block.filename,
+		    from:block.file.length ? 1 : block.lineNumber,
+		    to:block.file.length ? Infinity : block.endLineNumber
+		});
+	    }
+	}
+	var errors = doc.errors;
+	doc.errors = [];
+	for(var i=0; i<errors.length; i++){
+	    var e = errors[i], suppressed = options.suppress.indexOf(e.code)!=-1;
+	    for(var j=0; j<rules.length && !suppressed; j++){
+		var rule = rules[j];
+		suppressed = rule.file==e.file && rule.from<=e.lineNumber && e.lineNumber<=rule.to && rule.codes.indexOf(e.code)!=-1;
+	    }
+	    (suppressed ? doc.suppressed : doc.errors).push(e);
+	}
+    }
 
-	// Attach methods, properties to their classes
+    // Attach methods, properties and events to their classes
+    function attachMembers(doc){
 	for(var i=0; i<doc.methods.length; i++){
 	    var m = doc.methods[i];
 	    var c = doc.nameToClass(m.getClassName());
 	    if(c)
 		c.addMethod(m);
 	    else
-		doc.errors.push(new DOCJS.ErrorReport("",1,"Could not add method "+m.getName()+" to the class "+m.getClassName()+", could not find that class."));
+		doc.errors.push(new DOCJS.ErrorReport(m.block[0].filename,
+						      m.block[0].lineNumber,
+						      "Could not add method "+m.getName()+" to the class "+m.getClassName()+", could not find that class.",
+						      "unknown-class","error"));
 	}
 	for(var i=0; i<doc.properties.length; i++){
 	    var p = doc.properties[i];
@@ -594,18 +1602,186 @@ DOCJS.Generate = function(urls,opt){
 	    if(c)
 		c.addProperty(p);
 	    else
-		doc.errors.push(new DOCJS.ErrorReport("",
-						      p.block.lineNumber,
-						      "Could not attach property "+p.getName()+" to the class "+p.getClassName()+" because it could not be found."));
+		doc.errors.push(new DOCJS.ErrorReport(p.block[0].filename,
+						      p.block[0].lineNumber,
+						      "Could not attach property "+p.getName()+" to the class "+p.getClassName()+" because it could not be found.",
+						      "unknown-class","error"));
+	}
+	for(var i=0; i<doc.events.length; i++){
+	    var e = doc.events[i];
+	    if(!e.getClassName()) continue;
+	    var c = doc.nameToClass(e.getClassName());
+	    if(c)
+		c.addEvent(e);
+	    else
+		doc.errors.push(new DOCJS.ErrorReport(e.block[0].filename,
+						      e.block[0].lineNumber,
+						      "Could not add event "+e.getName()+" to the class "+e.getClassName()+" because it could not be found.",
+						      "unknown-class","error"));
+	}
+    }
+
+    // Assembles a Documentation out of the data from Documentation.toJSON.
+    // Each entity gets a Block of its own, holding the Commands the entity is made of.
+    function entitiesFromJSON(json,errors){
+	var doc = new DOCJS.Documentation();
+	for(var i=0; i<errors.length; i++)
+	    doc.errors.push(errors[i]);
+	if(!json || json.format!="docjs"){
+	    if(!errors.length)
+		doc.errors.push(new DOCJS.ErrorReport("",1,"The given JSON is not documentation from doc.js.","invalid-json","error"));
+	    doc.update();
+	    return doc;
+	}
+	if(json.version>DOCJS.Documentation.JSON_VERSION){
+	    doc.errors.push(new DOCJS.ErrorReport("",1,"The documentation JSON has version "+json.version+", but this doc.js only reads up to version "+DOCJS.Documentation.JSON_VERSION+".","unsupported-json-version","error"));
+	    doc.update();
+	    return doc;
 	}
 
+	if(json.library){
+	    var l = json.library, block = blockFromJSON(l);
+	    doc.library = new DOCJS.LibraryEntity([block],
+						  new DOCJS.LibraryCommand(block,l.name),
+						  l.version ? new DOCJS.VersionCommand(block,l.version) : undefined,
+						  briefFromJSON(block,l),
+						  descriptionFromJSON(block,l));
+	}
+	var files = json.files || [];
+	for(var i=0; i<files.length; i++){
+	    var block = blockFromJSON(files[i]);
+	    doc.files.push(new DOCJS.FileEntity([block],
+						new DOCJS.FileCommand(block,files[i].name),
+						briefFromJSON(block,files[i]),
+						descriptionFromJSON(block,files[i])));
+	}
+	var pages = json.pages || [];
+	for(var i=0; i<pages.length; i++){
+	    var block = blockFromJSON(pages[i]);
+	    doc.pages.push(new DOCJS.PageEntity([block],
+						new DOCJS.PageCommand(block,pages[i].name),
+						pages[i].content));
+	}
+	var classes = json.classes || [];
+	for(var i=0; i<classes.length; i++){
+	    var c = classes[i], block = blockFromJSON(c);
+	    doc.classes.push(new DOCJS.ClassEntity([block],
+						   new DOCJS.ClassCommand(block,c.name),
+						   paramsFromJSON(block,c.params),
+						   c["extends"] ? new DOCJS.ExtendsCommand(block,c["extends"]) : undefined,
+						   briefFromJSON(block,c),
+						   descriptionFromJSON(block,c),
+						   examplesFromJSON(block,c.examples)));
+	    var methods = c.methods || [];
+	    for(var j=0; j<methods.length; j++){
+		var m = methods[j], mblock = blockFromJSON(m);
+		doc.methods.push(new DOCJS.MethodEntity([mblock],
+							new DOCJS.MethodCommand(mblock,m.name),
+							new DOCJS.MemberofCommand(mblock,c.name),
+							paramsFromJSON(mblock,m.params),
+							briefFromJSON(mblock,m),
+							returnFromJSON(mblock,m["return"]),
+							descriptionFromJSON(mblock,m)));
+	    }
+	    var properties = c.properties || [];
+	    for(var j=0; j<properties.length; j++){
+		var p = properties[j], pblock = blockFromJSON(p);
+		doc.properties.push(new DOCJS.PropertyEntity([pblock],
+							     new DOCJS.PropertyCommand(pblock,p.dataType,p.name),
+							     new DOCJS.MemberofCommand(pblock,c.name),
+							     briefFromJSON(pblock,p),
+							     descriptionFromJSON(pblock,p)));
+	    }
+	    var events = c.events || [];
+	    for(var j=0; j<events.length; j++)
+		doc.events.push(eventFromJSON(events[j],c.name));
+	}
+	var functions = json.functions || [];
+	for(var i=0; i<functions.length; i++){
+	    var f = functions[i], block = blockFromJSON(f);
+	    doc.functions.push(new DOCJS.FunctionEntity([block],
+							new DOCJS.FunctionCommand(block,f.name),
+							paramsFromJSON(block,f.params),
+							returnFromJSON(block,f["return"]),
+							briefFromJSON(block,f),
+							descriptionFromJSON(block,f),
+							examplesFromJSON(block,f.examples)));
+	}
+	var events = json.events || [];
+	for(var i=0; i<events.length; i++)
+	    doc.events.push(eventFromJSON(events[i],false));
+	var reports = json.errors || [];
+	for(var i=0; i<reports.length; i++)
+	    doc.errors.push(new DOCJS.ErrorReport(reports[i].file,reports[i].line,reports[i].message,reports[i].code,reports[i].severity,reports[i].column));
+
+	doc.update();
+	attachMembers(doc);
+
+	// Todos refer to their entity by name
+	var todos = json.todos || [];
+	for(var i=0; i<todos.length; i++){
+	    var t = todos[i], block = blockFromJSON(t);
+	    var todo = new DOCJS.TodoEntity([block],new DOCJS.TodoCommand(block,t.content));
+	    todo.setEntity(t.entity ? doc.nameToEntity(t.entity) : false);
+	    doc.todos.push(todo);
+	}
+
+	suppressDiagnostics(doc,[]);
 	return doc;
     }
 
-    /**
-     * @class DOCJS.Command
-     * @param DOCJS.Block block
-     */
+    // A Block with the commands that all entities in the JSON may have
+    function blockFromJSON(json){
+	var block = new DOCJS.Block("","",json.line || 1,0);
+	block.filename = json.file || "";
+	var authors = json.authors || [], see = json.see || [], fires = json.fires || [];
+	for(var i=0; i<authors.length; i++)
+	    block.author.push(new DOCJS.AuthorCommand(block,authors[i]));
+	for(var i=0; i<see.length; i++)
+	    block.see.push(new DOCJS.SeeCommand(block,see[i]));
+	for(var i=0; i<fires.length; i++)
+	    block.fires.push(new DOCJS.FiresCommand(block,fires[i]));
+	if(json.deprecated)
+	    block.deprecated.push(new DOCJS.DeprecatedCommand(block,json.deprecated.reason,json.deprecated.replacement));
+	return block;
+    }
+    function briefFromJSON(block,json){
+	return json.brief ? new DOCJS.BriefCommand(block,json.brief) : undefined;
+    }
+    function descriptionFromJSON(block,json){
+	return json.description ? new DOCJS.DescriptionCommand(block,json.description) : undefined;
+    }
+    function returnFromJSON(block,ret){
+	return ret ? new DOCJS.ReturnCommand(block,ret.dataType,ret.description) : undefined;
+    }
+    function paramsFromJSON(block,params){
+	var commands = [];
+	params = params || [];
+	for(var i=0; i<params.length; i++)
+	    commands.push(new DOCJS.ParamCommand(block,params[i].dataType,params[i].name,params[i].description));
+	return commands;
+    }
+    function examplesFromJSON(block,examples){
+	var commands = [];
+	examples = examples || [];
+	for(var i=0; i<examples.length; i++)
+	    commands.push(new DOCJS.ExampleCommand(block,examples[i]));
+	return commands;
+    }
+    function eventFromJSON(json,className){
+	var block = blockFromJSON(json);
+	return new DOCJS.EventEntity([block],
+				     new DOCJS.EventCommand(block,json.name),
+				     className ? new DOCJS.MemberofCommand(block,className) : undefined,
+				     paramsFromJSON(block,json.params),
+				     briefFromJSON(block,json),
+				     descriptionFromJSON(block,json));
+    }
+
+    /**
+     * @class DOCJS.Command
+     * @param DOCJS.Block block
+     */
     DOCJS.Command = function(block){
 	if(!(block instanceof DOCJS.Block)) throw new Error("Argument block must be instance of Block");
 	this.getBlock = function(){ return block; };
@@ -642,7 +1818,8 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/@author/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @author but did not match the command spec \"@author text\". The input: "+line));
+						  "Line contained @author but did not match the command spec \"@author text\". The input: "+line,
+						  "invalid-author","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -679,7 +1856,8 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/@brief/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @brief but did not match the command spec \"@brief text\". The input: "+line));
+						  "Line contained @brief but did not match the command spec \"@brief text\". The input: "+line,
+						  "invalid-brief","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -716,7 +1894,97 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/@class/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @class but did not match the command spec \"@class className\". The input: "+line));
+						  "Line contained @class but did not match the command spec \"@class className\". The input: "+line,
+						  "invalid-class","error",block.getCommandColumn(j)));
+	    }
+	}
+	return commands;
+    }
+
+    /**
+     * @class DOCJS.CustomCommand
+     * @param DOCJS.Block block
+     * @param string tag
+     * @param string content
+     * @extends DOCJS.Command
+     * @brief Default command for tags added with DOCJS.registerCommand.
+     */
+    DOCJS.CustomCommand = function(block,tag,content){
+	DOCJS.Command.call(this,block);
+	this.getTag = function(){ return tag; };
+	this.getContent = function(){ return content; };
+	this.setContent = function(c){ content=c; };
+    }
+    /**
+     * @function DOCJS.CustomCommand.parse
+     * @param Object custom An entry from DOCJS.customCommands
+     * @param DOCJS.Block block
+     * @param Array errors
+     * @return Array
+     */
+    DOCJS.CustomCommand.parse = function(custom,block,errors){
+	var commands = [], lines = block.getUnparsedLines2();
+	var tags = custom.aliases.map(function(alias){ return alias.replace(/[\-\[\]\/{}()*+?.\\^$|]/g,"\\$&"); }).join("|");
+	for(var j in lines){
+	    var line = lines[j];
+
+	    // @tag [text]
+	    var result = line.match(new RegExp("@("+tags+")(?![\\w])\\s*(.*)$"));
+	    if(result){
+		var command = custom.parseFn ?
+		    custom.parseFn(block,result[2],result[1]) :
+		    new DOCJS.CustomCommand(block,result[1],result[2]);
+		if(command){
+		    block.markLineAsParsed(j);
+		    commands.push(command);
+		} else {
+		    errors.push(new DOCJS.ErrorReport(block.filename,
+						      block.localToGlobalLineNumber(j),
+						      "Line contained @"+result[1]+" but it could not be parsed. The input: "+line,
+						      "invalid-"+result[1],"error",block.getCommandColumn(j)));
+		    block.markLineAsParsed(j);
+		}
+	    }
+	}
+	return commands;
+    }
+
+    /**
+     * @class DOCJS.DeprecatedCommand
+     * @param DOCJS.Block block
+     * @param string reason
+     * @param string replacement Name of the entity to use instead
+     * @extends DOCJS.Command
+     */
+    DOCJS.DeprecatedCommand = function(block,reason,replacement){
+	DOCJS.Command.call(this,block);
+	this.getReason = function(){ return reason ? reason : false; };
+	this.setReason = function(r){ reason=r; };
+	this.getReplacement = function(){ return replacement ? replacement : false; };
+	this.setReplacement = function(r){ replacement=r; };
+    }
+    /**
+     * @function DOCJS.DeprecatedCommand.parse
+     * @param DOCJS.Block block
+     * @param Array errors
+     * @return Array
+     */
+    DOCJS.DeprecatedCommand.parse = function(block,errors){
+	var commands = [], lines = block.getUnparsedLines2();
+	for(var j in lines){
+	    var line = lines[j];
+
+	    // @deprecated [reason] [-> replacementName]
+	    var result = line.match(/@deprecated(\s+(.*?))?(\s*->\s*([^\s]+))?\s*$/);
+	    if(result){
+		var command = new DOCJS.DeprecatedCommand(block,result[2],result[4]);
+		block.markLineAsParsed(j);
+		commands.push(command);
+	    } else if(line.match(/@deprecated/)){
+		errors.push(new DOCJS.ErrorReport(block.filename,
+						  block.localToGlobalLineNumber(j),
+						  "Line contained @deprecated but did not match the command spec \"@deprecated [reason] [-> replacementName]\". The input: "+line,
+						  "invalid-deprecated","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -742,7 +2010,7 @@ DOCJS.Generate = function(urls,opt){
      */
     DOCJS.DescriptionCommand.parse = function(block,errors){
 	var commands=[], src = block.getUnparsedLines().join("\n");
-	var result = src.match(/((@description)|(@desc))\s+((.(?!@))*)/m)||[]; // anything but not followed by @
+	var result = src.match(/((@description)|(@desc))\s+((\{@|[^@\n])*)/m)||[]; // anything but @, except in inline tags like {@link}
 	if(result.length>=4 && result[4]!=""){
 	    var content = result[4];
 	    var command = new DOCJS.DescriptionCommand(block,content);
@@ -786,15 +2054,15 @@ DOCJS.Generate = function(urls,opt){
 	    var result = line.match(/@event\s+([^\s]*)(\s+(.*)){0,1}$/);
 	    if(result){
 		var name = result[1];
-		var desc;
-		if(result.length>=3) desc = result[2];
+		var desc = result[3];
 		var command = new DOCJS.EventCommand(block,name,desc);
 		block.markLineAsParsed(j);
 		commands.push(command);
 	   } else if(line.match(/@event/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @event but did not match the command spec \"@event typeName [description]\". The input: "+line));
+						  "Line contained @event but did not match the command spec \"@event typeName [description]\". The input: "+line,
+						  "invalid-event","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -828,9 +2096,15 @@ DOCJS.Generate = function(urls,opt){
 	    block.markChunkAsParsed(result[0]);
 	    commands.push(command);
 	} else if(src.match(/@example/)){
+	    var unparsed = block.getUnparsedLines2();
+	    for(var j in unparsed){
+		if(!unparsed[j].match(/@example/)) continue;
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Block contained @example but did not match the command spec \"@example markupText @endexample\". The input: "+line));
+						  "Block contained @example but did not match the command spec \"@example markupText @endexample\". The input: "+unparsed[j],
+						  "invalid-example","error",block.getCommandColumn(j)));
+		break;
+	    }
 	}
 	return commands;
     }
@@ -866,7 +2140,89 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/@extends/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @extends but did not match the command spec \"@extends className\". The input: "+line));
+						  "Line contained @extends but did not match the command spec \"@extends className\". The input: "+line,
+						  "invalid-extends","error",block.getCommandColumn(j)));
+	    }
+	}
+	return commands;
+    }
+
+    /**
+     * @class DOCJS.FileCommand
+     * @param DOCJS.Block block
+     * @param string name
+     * @param string description Optional
+     * @extends DOCJS.Command
+     */
+    DOCJS.FileCommand = function(block,name,description){
+	DOCJS.Command.call(this,block);
+	this.getName = function(){ return name; };
+	this.setName = function(n){ name=n; };
+	this.getDescription = function(){ return description ? description : false; };
+	this.setDescription = function(n){ description=n; };
+    }
+    /**
+     * @function DOCJS.FileCommand.parse
+     * @param DOCJS.Block block
+     * @param Array errors
+     * @return Array
+     */
+    DOCJS.FileCommand.parse = function(block,errors){
+	var commands = [], lines = block.getUnparsedLines2();
+	for(var j in lines){
+	    var line = lines[j];
+
+	    // @file name [description]
+	    var result = line.match(/@file\s+([^\s]+)(\s+(.*))?$/);
+	    if(result){
+		var command = new DOCJS.FileCommand(block,result[1],result[3]);
+		block.markLineAsParsed(j);
+		commands.push(command);
+	    } else if(line.match(/@file(?![a-zA-Z])/)){
+		errors.push(new DOCJS.ErrorReport(block.filename,
+						  block.localToGlobalLineNumber(j),
+						  "Line contained @file but did not match the command spec \"@file name [description]\". The input: "+line,
+						  "invalid-file","error",block.getCommandColumn(j)));
+	    }
+	}
+	return commands;
+    }
+
+    /**
+     * @class DOCJS.FiresCommand
+     * @param DOCJS.Block block
+     * @param string eventName
+     * @param int lineNumber Optional. Local line number of the command in the block.
+     * @extends DOCJS.Command
+     */
+    DOCJS.FiresCommand = function(block,eventName,lineNumber){
+	DOCJS.Command.call(this,block);
+	this.getEventName = function(){ return eventName; };
+	this.getLineNumber = function(){ return lineNumber; };
+	this.setEventName = function(n){ eventName=n; };
+    }
+    /**
+     * @function DOCJS.FiresCommand.parse
+     * @param DOCJS.Block block
+     * @param Array errors
+     * @return Array
+     */
+    DOCJS.FiresCommand.parse = function(block,errors){
+	var commands = [], lines = block.getUnparsedLines2();
+	for(var j in lines){
+	    var line = lines[j];
+
+	    // @fires eventName
+	    var result = line.match(/@fires\s+([^\s]+)\s*$/);
+	    if(result){
+		var command = new DOCJS.FiresCommand(block,result[1],parseInt(j));
+		block.markLineAsParsed(j);
+		commands.push(command);
+	    } else if(line.match(/@fires/)){
+		errors.push(new DOCJS.ErrorReport(block.filename,
+						  block.localToGlobalLineNumber(j),
+						  "Line contained @fires but did not match the command spec \"@fires eventName\". The input: "+line,
+						  "invalid-fires","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -910,7 +2266,8 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/(@function)|(@fn)/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @function or @fn but did not match the command spec \"@function|fn functionName [description]\". The input: "+line));
+						  "Line contained @function or @fn but did not match the command spec \"@function|fn functionName [description]\". The input: "+line,
+						  "invalid-function","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -920,12 +2277,14 @@ DOCJS.Generate = function(urls,opt){
      * @function DOCJS.MemberofCommand
      * @param DOCJS.Block block
      * @param string className
+     * @param bool implicit Optional. True if the command was implied by a member region.
      * @return Array
      */
-    DOCJS.MemberofCommand = function(block,className){
+    DOCJS.MemberofCommand = function(block,className,implicit){
 	DOCJS.Command.call(this,block);
 	this.getClassName = function(){ return className; };
 	this.setClassName = function(n){ className=n; };
+	this.isImplicit = function(){ return !!implicit; };
     }
     /**
      * @function DOCJS.MemberofCommand.parse
@@ -938,16 +2297,88 @@ DOCJS.Generate = function(urls,opt){
 	for(var j in lines){
 	    var line = lines[j];
 	    // @[memberof|memberOf] ClassName
-	    var result = line.match(/(@memberOf)|(@memberof)\s+([^\s]*)$/);
-	    if(result && result.length>=4){
-		var classname = result[3];
+	    var result = line.match(/@member[oO]f\s+([^\s]+)$/);
+	    if(result){
+		var classname = result[1];
 		var command = new DOCJS.MemberofCommand(block,classname);
 		block.markLineAsParsed(j);
 		commands.push(command);
-	    } else if(line.match(/@member[oO]f/)){
+	    } else if(line.match(/@member[oO]f(?![a-zA-Z])/)){
+		errors.push(new DOCJS.ErrorReport(block.filename,
+						  block.localToGlobalLineNumber(j),
+						  "Line contained @memberof but did not match the command spec \"@memberof className\". The input: "+line,
+						  "invalid-memberof","error",block.getCommandColumn(j)));
+	    }
+	}
+	return commands;
+    }
+
+    /**
+     * @class DOCJS.MemberofStartCommand
+     * @param DOCJS.Block block
+     * @param string className
+     * @extends DOCJS.Command
+     * @brief Starts a region of blocks that are members of a class.
+     */
+    DOCJS.MemberofStartCommand = function(block,className){
+	DOCJS.Command.call(this,block);
+	this.getClassName = function(){ return className; };
+	this.setClassName = function(n){ className=n; };
+    }
+    /**
+     * @function DOCJS.MemberofStartCommand.parse
+     * @param DOCJS.Block block
+     * @param Array errors
+     * @return Array
+     */
+    DOCJS.MemberofStartCommand.parse = function(block,errors){
+	var commands = [], lines = block.getUnparsedLines2();
+	for(var j in lines){
+	    var line = lines[j];
+	    // @[memberofStart|memberOfStart] ClassName
+	    var result = line.match(/@member[oO]fStart\s+([^\s]+)$/);
+	    if(result){
+		var command = new DOCJS.MemberofStartCommand(block,result[1]);
+		block.markLineAsParsed(j);
+		commands.push(command);
+	    } else if(line.match(/@member[oO]fStart/)){
+		errors.push(new DOCJS.ErrorReport(block.filename,
+						  block.localToGlobalLineNumber(j),
+						  "Line contained @memberofStart but did not match the command spec \"@memberofStart className\". The input: "+line,
+						  "invalid-memberof-start","error",block.getCommandColumn(j)));
+	    }
+	}
+	return commands;
+    }
+
+    /**
+     * @class DOCJS.MemberofEndCommand
+     * @param DOCJS.Block block
+     * @extends DOCJS.Command
+     * @brief Ends a member region.
+     */
+    DOCJS.MemberofEndCommand = function(block){
+	DOCJS.Command.call(this,block);
+    }
+    /**
+     * @function DOCJS.MemberofEndCommand.parse
+     * @param DOCJS.Block block
+     * @param Array errors
+     * @return Array
+     */
+    DOCJS.MemberofEndCommand.parse = function(block,errors){
+	var commands = [], lines = block.getUnparsedLines2();
+	for(var j in lines){
+	    var line = lines[j];
+	    // @[memberofEnd|memberOfEnd]
+	    if(line.match(/@member[oO]fEnd\s*$/)){
+		commands.push(new DOCJS.MemberofEndCommand(block));
+		block.markLineAsParsed(j);
+	    } else if(line.match(/@member[oO]fEnd/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @memberof but did not match the command spec \"@memberof className\". The input: "+line));
+						  "Line contained @memberofEnd but did not match the command spec \"@memberofEnd\". The input: "+line,
+						  "invalid-memberof-end","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -982,7 +2413,8 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/@library/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @library but did not match the command spec \"@library libraryName\". The input: "+line));
+						  "Line contained @library but did not match the command spec \"@library libraryName\". The input: "+line,
+						  "invalid-library","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -1021,7 +2453,8 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/@method/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @method but did not match the command spec \"@method methodName\". The input: "+line));
+						  "Line contained @method but did not match the command spec \"@method methodName\". The input: "+line,
+						  "invalid-method","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -1058,7 +2491,8 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/@page/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @page but did not match the command spec \"@page text\". The input: "+line));
+						  "Line contained @page but did not match the command spec \"@page text\". The input: "+line,
+						  "invalid-page","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -1093,7 +2527,7 @@ DOCJS.Generate = function(urls,opt){
 	    if(result){
 		var dataType = result[1],
 		paramName = result[2],
-		desc;
+		desc = false;
 		if(typeof(result[4])=="string" && result[4]!="") desc = result[4];
 		var command = new DOCJS.ParamCommand(block,dataType,paramName,desc);
 		block.markLineAsParsed(j);
@@ -1101,7 +2535,8 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/@param/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @param but did not match the command spec \"@param dataType paramName [description]\". The input: "+line));
+						  "Line contained @param but did not match the command spec \"@param dataType paramName [description]\". The input: "+line,
+						  "invalid-param","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -1137,7 +2572,7 @@ DOCJS.Generate = function(urls,opt){
 	    if(result){
 		var dataType = result[1],
 		name = result[2],
-		desc; // optional
+		desc = false; // optional
 		if(typeof(result[3])=="string" && result[3]!="") desc = result[2];
 		var command = new DOCJS.PropertyCommand(block,dataType,name,desc);
 		block.markLineAsParsed(j);
@@ -1145,7 +2580,8 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/@property/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @property but did not match the command spec \"@property dataType propertyName [description]\". The input: "+line));
+						  "Line contained @property but did not match the command spec \"@property dataType propertyName [description]\". The input: "+line,
+						  "invalid-property","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -1181,7 +2617,7 @@ DOCJS.Generate = function(urls,opt){
 	    if(result){
 		var dataType = result[1],
 		name = result[2],
-		desc; // optional
+		desc = false; // optional
 		if(typeof(result[3])=="string" && result[3]!="") desc = result[2];
 		var command = new DOCJS.ReturnCommand(block,dataType,name,desc);
 		block.markLineAsParsed(j);
@@ -1189,7 +2625,8 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/@return[s]{0,1}/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @return but did not match the command spec \"@return dataType [description]\". The input: "+line));
+						  "Line contained @return but did not match the command spec \"@return dataType [description]\". The input: "+line,
+						  "invalid-return","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -1199,11 +2636,16 @@ DOCJS.Generate = function(urls,opt){
      * @class DOCJS.SeeCommand
      * @param DOCJS.Block block
      * @param string text
+     * @param int lineNumber Optional. Local line number of the command in the block.
      */
-    DOCJS.SeeCommand = function(block,text){
+    DOCJS.SeeCommand = function(block,text,lineNumber){
 	DOCJS.Command.call(this,block);
 	this.getText = function(){ return text; };
+	this.getLineNumber = function(){ return lineNumber; };
 	this.setText = function(n){ text=n; };
+	// The first word is the target: an entity name or a URL. The rest is a label.
+	this.getTarget = function(){ return text.split(/\s+/)[0]; };
+	this.getLabel = function(){ return trim(text.substr(this.getTarget().length)); };
     }
     /**
      * @function DOCJS.SeeCommand.parse
@@ -1220,13 +2662,53 @@ DOCJS.Generate = function(urls,opt){
 	    var result = line.match(/@see\s+(.*)$/);
 	    if(result){
 		var text = result[1];
-		var command = new DOCJS.SeeCommand(block,text);
+		var command = new DOCJS.SeeCommand(block,text,parseInt(j));
 		block.markLineAsParsed(j);
 		commands.push(command);
 	    } else if(line.match(/@see/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @see but did not match the command spec \"@see text\". The input: "+line));
+						  "Line contained @see but did not match the command spec \"@see text\". The input: "+line,
+						  "invalid-see","error",block.getCommandColumn(j)));
+	    }
+	}
+	return commands;
+    }
+
+    /**
+     * @class DOCJS.SuppressCommand
+     * @param DOCJS.Block block
+     * @param Array codes
+     * @extends DOCJS.Command
+     * @brief Suppresses diagnostics with the given codes.
+     */
+    DOCJS.SuppressCommand = function(block,codes){
+	DOCJS.Command.call(this,block);
+	this.getCodes = function(){ return codes; };
+	this.setCodes = function(c){ codes=c; };
+    }
+    /**
+     * @function DOCJS.SuppressCommand.parse
+     * @param DOCJS.Block block
+     * @param Array errors
+     * @return Array
+     */
+    DOCJS.SuppressCommand.parse = function(block,errors){
+	var commands = [], lines = block.getUnparsedLines2();
+	for(var j in lines){
+	    var line = lines[j];
+
+	    // @suppress code [code ...]
+	    var result = line.match(/@suppress\s+([^\s].*)$/);
+	    if(result){
+		var command = new DOCJS.SuppressCommand(block,trim(result[1]).split(/[\s,]+/));
+		block.markLineAsParsed(j);
+		commands.push(command);
+	    } else if(line.match(/@suppress/)){
+		errors.push(new DOCJS.ErrorReport(block.filename,
+						  block.localToGlobalLineNumber(j),
+						  "Line contained @suppress but did not match the command spec \"@suppress code [code ...]\". The input: "+line,
+						  "invalid-suppress","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -1258,14 +2740,15 @@ DOCJS.Generate = function(urls,opt){
 	    // @todo [text]
 	    var result = line.match(/@todo(\s+(.*))$/);
 	    if(result){
-		var text = result[1];
+		var text = result[2];
 		var command = new DOCJS.TodoCommand(block,text);
 		block.markLineAsParsed(j);
 		commands.push(command);
 	    } else if(line.match(/@todo/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @todo but did not match the command spec \"@todo text\". The input: "+line));
+						  "Line contained @todo but did not match the command spec \"@todo text\". The input: "+line,
+						  "invalid-todo","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -1303,7 +2786,8 @@ DOCJS.Generate = function(urls,opt){
 	    } else if(line.match(/@version/)){
 		errors.push(new DOCJS.ErrorReport(block.filename,
 						  block.localToGlobalLineNumber(j),
-						  "Line contained @version but did not match the command spec \"@version text\". The input: "+line));
+						  "Line contained @version but did not match the command spec \"@version text\". The input: "+line,
+						  "invalid-version","error",block.getCommandColumn(j)));
 	    }
 	}
 	return commands;
@@ -1311,82 +2795,226 @@ DOCJS.Generate = function(urls,opt){
 
     // Parse blocks from a file
     function parseBlocks(src,file,errors){
-	var blockObjects = [];
-	// (.(?!\*\/))* is negative lookahead, anything not followed by */
-	var blocks = src.match(/\/\*\*\n(^(.(?!\*\/))*\n)+[\n\s\t]*\*\//gm) || [];
-	for(var i=0; i<blocks.length; i++){
+	var blockObjects = [], found = [], result;
+	var region = false; // The @memberofStart command of the current region, if any
+
+	// The commands to parse and the Block properties to store them in, in parse order.
+	// Custom commands go first, so their tags are not taken for built-in ones.
+	var commandTypes = [];
+	for(var i=0; i<DOCJS.customCommands.length; i++){
+	    commandTypes.push({
+		name:DOCJS.customCommands[i].name,
+		custom:true,
+		parse:(function(custom){
+		    return function(block,errors){ return DOCJS.CustomCommand.parse(custom,block,errors); };
+		})(DOCJS.customCommands[i])
+	    });
+	}
+	for(var i=0; i<DOCJS.builtinCommands.length; i++)
+	    commandTypes.push({ name:DOCJS.builtinCommands[i].name, parse:DOCJS[DOCJS.builtinCommands[i].command].parse });
+
+	// Slash-star blocks. (.(?!\*\/))* is negative lookahead, anything not followed by */
+	var slashStar = /\/\*\*\n(^(.(?!\*\/))*\n)+[\n\s\t]*\*\//gm;
+	while((result = slashStar.exec(src)) !== null)
+	    found.push({ index:result.index, raw:result[0], tripleSlash:false });
+
+	// Runs of consecutive triple-slash lines. Lines starting with four or more slashes are not doc comments.
+	var tripleSlash = /^[ \t]*\/\/\/(?!\/).*$(\n[ \t]*\/\/\/(?!\/).*$)*/gm;
+	while((result = tripleSlash.exec(src)) !== null)
+	    found.push({ index:result.index, raw:result[0], tripleSlash:true });
+
+	found.sort(function(a,b){ return a.index-b.index; });
+
+	for(var i=0; i<found.length; i++){
 
 	    // find line number
-	    var idx = src.indexOf(blocks[i]);
-	    var lineNumber = (src.substr(0,idx).match(/\n/g)||[]).length + 1;
+	    var lineNumber = (src.substr(0,found[i].index).match(/\n/g)||[]).length + 1;
+
+	    var raw = found[i].raw, lines, rawDiff;
 
-	    var raw = blocks[i]+"";
+	    if(found[i].tripleSlash){
+		// Remove the slashes, the first src line is the first raw line
+		lines = raw.split("\n");
+		for(var j=0; j<lines.length; j++)
+		    lines[j] = lines[j].replace(/^[\s\t]*\/\/\/[\s\t]*/,"");
+		rawDiff = 0;
 
-	    // remove first and last slash-stars
-	    blocks[i] = blocks[i]
-		.replace(/\/\*\*[\n\t\r]*/,"")
-		.replace(/[\n\t\r]*\*\/$/,"");
+	    } else {
+		// remove first and last slash-stars
+		var head = raw.match(/^\/\*\*[\n\t\r]*/)[0];
+		rawDiff = (head.match(/\n/g)||[]).length;
+		var stripped = raw
+		    .substr(head.length)
+		    .replace(/[\n\t\r]*\*\/$/,"");
 
-	    // Remove starting star + spaces
-	    var lines = blocks[i].split("\n");
-	    for(var j=0; j<lines.length; j++)
-		lines[j] = lines[j].replace(/^[\s\t]*\*[\s\t]*/,"");
+		// Remove starting star + spaces
+		lines = stripped.split("\n");
+		for(var j=0; j<lines.length; j++)
+		    lines[j] = lines[j].replace(/^[\s\t]*\*[\s\t]*/,"");
+	    }
 
 	    // Create block
-	    var block = new DOCJS.Block(lines.join("\n").replace(/[\n\s\t]*$/,""),raw,lineNumber);
+	    var block = new DOCJS.Block(lines.join("\n").replace(/[\n\s\t]*$/,""),raw,lineNumber,rawDiff);
 	    block.filename = file;
 
+	    // The code following the block, up to the first { or ;
+	    var next = i+1<found.length ? found[i+1].index : src.length;
+	    var after = src.substring(found[i].index+raw.length,next);
+	    var code = after.replace(/^[\n\s\t]+/,"");
+	    var codeEnd = code.search(/[{;]/);
+	    block.code = trim(codeEnd==-1 ? code.split("\n")[0] : code.substr(0,codeEnd));
+	    block.endLineNumber = lineNumber + (raw.match(/\n/g)||[]).length;
+	    if(block.code){
+		var codeLength = after.length-code.length + (codeEnd==-1 ? code.split("\n")[0].length : codeEnd);
+		block.endLineNumber += (after.substr(0,codeLength).match(/\n/g)||[]).length;
+	    }
+
 	    // Parse commands from block
-	    block.author =   DOCJS.AuthorCommand.parse(block,errors);
-	    block.brief =    DOCJS.BriefCommand.parse(block,errors);
-	    block.classs =   DOCJS.ClassCommand.parse(block,errors);
-	    block.desc =     DOCJS.DescriptionCommand.parse(block,errors);
-	    block.event =    DOCJS.EventCommand.parse(block,errors);
-	    block.example=   DOCJS.ExampleCommand.parse(block,errors);
-	    block.extends=   DOCJS.ExtendsCommand.parse(block,errors);
-	    block.func =     DOCJS.FunctionCommand.parse(block,errors);
-	    block.library =  DOCJS.LibraryCommand.parse(block,errors);
-	    block.memberof = DOCJS.MemberofCommand.parse(block,errors);
-	    block.method =   DOCJS.MethodCommand.parse(block,errors);
-	    block.page =     DOCJS.PageCommand.parse(block,errors);
-	    block.param =    DOCJS.ParamCommand.parse(block,errors);
-	    block.property = DOCJS.PropertyCommand.parse(block,errors);
-	    block.ret =      DOCJS.ReturnCommand.parse(block,errors);
-	    block.see =      DOCJS.SeeCommand.parse(block,errors);
-	    block.todo =     DOCJS.TodoCommand.parse(block,errors);
-	    block.version =  DOCJS.VersionCommand.parse(block,errors);
+	    for(var j=0; j<commandTypes.length; j++){
+		if(commandTypes[j].custom)
+		    block.custom[commandTypes[j].name] = commandTypes[j].parse(block,errors);
+		else
+		    block[commandTypes[j].name] = commandTypes[j].parse(block,errors);
+	    }
+
+	    // Blocks inside a @memberofStart region get an implicit @memberof, unless they specify one
+	    if(block.memberofStart.length){
+		if(region || block.memberofStart.length>1)
+		    errors.push(new DOCJS.ErrorReport(file,
+						      block.lineNumber,
+						      "@memberofStart regions may not be nested. The region for "+(region ? region : block.memberofStart[0]).getClassName()+" was not ended with @memberofEnd.",
+						      "nested-region","error"));
+		region = block.memberofStart[block.memberofStart.length-1];
+	    }
+	    if(region && !block.memberof.length)
+		block.memberof.push(new DOCJS.MemberofCommand(block,region.getClassName(),true));
+
+	    if(options.inferFromCode)
+		inferFromCode(block);
+	    if(block.memberofEnd.length){
+		if(!region)
+		    errors.push(new DOCJS.ErrorReport(file,
+						      block.lineNumber,
+						      "Found @memberofEnd without a preceding @memberofStart.",
+						      "unmatched-region-end","warning"));
+		region = false;
+	    }
 
 	    blockObjects.push(block);
-	} 
+	}
+
+	if(region)
+	    errors.push(new DOCJS.ErrorReport(file,
+					      region.getBlock().lineNumber,
+					      "The @memberofStart region for "+region.getClassName()+" was never ended. Add @memberofEnd after its last member.",
+					      "unterminated-region","warning"));
+
 	return blockObjects;
     };
 
-    function updateHTML(doc){
+    // Fill in commands that are missing in a block, using the code statement that follows it.
+    // Explicit commands always win over inferred ones.
+    function inferFromCode(block){
+	var result, name, className, args, thisMember = false;
+	if(result = block.code.match(/^function\s+([\w$]+)\s*\(([^)]*)\)/)){
+	    // function add(a,b)
+	    name = result[1];
+	    args = result[2];
+	} else if(result = block.code.match(/^(var\s+)?([\w$.]+)\s*=\s*function(\s+[\w$]+)?\s*\(([^)]*)\)/)){
+	    // Foo.prototype.bar = function(x), DOCJS.X = function(...), var add = function(a,b)
+	    name = result[2];
+	    args = result[4];
+	    var proto = name.match(/^(.+)\.prototype\.([\w$]+)$/);
+	    if(proto){
+		className = proto[1];
+		name = proto[2];
+	    } else if(name.match(/^this\./)){
+		// this.bar = function(x) in a constructor is a method of the class of the @memberofStart region, if it is in one
+		thisMember = true;
+		var member = name.match(/^this\.([\w$]+)$/);
+		if(member && block.memberof.length){
+		    className = block.memberof[0].getClassName();
+		    name = member[1];
+		}
+	    }
+	} else
+	    return;
 
-	setupLayout();
+	var hasKind = block.classs.length || block.func.length || block.method.length || block.property.length ||
+	    block.event.length || block.todo.length || block.page.length || block.library.length || block.file.length;
+	if(!hasKind){
+	    if(className)
+		block.method.push(new DOCJS.MethodCommand(block,name));
+	    else if(!thisMember)
+		block.func.push(new DOCJS.FunctionCommand(block,name));
+	}
+	if(block.method.length && !block.memberof.length && className)
+	    block.memberof.push(new DOCJS.MemberofCommand(block,className,true));
 
-	// Library info
-	if(doc.library){
-	    $("#libtitle").html(doc.library.getName());
-	    $("#libversion").html(doc.library.getVersion());
-	    $("#libdesc").html(doc.library.getBrief());
-	} else {
-	    $("#libtitle").html("Untitled");
-	    $("#libversion").html("0.0.0");
-	    $("#libdesc").html("An untitled library doc");
+	// Params, in the order of the code. Documented params that are not in the code are kept last.
+	if(!(block.classs.length || block.func.length || block.method.length))
+	    return;
+	var names = args.split(","), params = [], documented = block.param.slice(0);
+	for(var i=0; i<names.length; i++){
+	    var paramName = trim(names[i]), found = false;
+	    if(paramName=="") continue;
+	    for(var j=0; j<documented.length; j++){
+		if(documented[j].getName()==paramName){
+		    found = documented.splice(j,1)[0];
+		    break;
+		}
+	    }
+	    params.push(found ? found : new DOCJS.ParamCommand(block,undefined,paramName));
 	}
-	
+	block.param = params.concat(documented);
+    }
+
+    function updateHTML(doc){
+	var nav = [], content = [];
+
+	// The templates that render each kind of entity, by name. The templates option can replace them, see render.
+	var templates = {
+	    page:pageTemplate,
+	    "function":functionTemplate,
+	    "class":classTemplate,
+	    method:methodTemplate,
+	    property:propertyTemplate,
+	    inherited:inheritedTemplate,
+	    event:eventTemplate,
+	    file:fileTemplate,
+	    todo:todoTemplate,
+	    error:errorTemplate
+	};
+	// Without documentation, just tell which templates there are
+	if(!doc)
+	    return templates;
+	// What templates get besides the entity: the documentation, the built-in templates, and helpers for making the HTML
+	var templateHelpers = {
+	    doc:doc,
+	    render:render,
+	    defaults:templates,
+	    escapeHTML:escapeHTML,
+	    toNice:toNice,
+	    linkify:linkify,
+	    markdown:markDown2HTML,
+	    entityToId:entityToId,
+	    nameToLink:nameToLink,
+	    fullName:fullName,
+	    deprecate:deprecate,
+	    overrides:overrides,
+	    seeAlso:seeAlso,
+	    authorLinks:authorLinks,
+	    definedIn:definedIn,
+	    sourceLink:sourceLink
+	};
+
 	// Pages
 	if(doc.pages.length > 0){
 	    var links = [], contents = [];
 	    for(var i=0; i<doc.pages.length; i++){
 		var page = doc.pages[i];
-		var $sec = $("<section id=\"pages-"+toNice(page.getName())+"\"></section>")
-		    .append($("<h2>"+page.getName()+"</h2>"))
-		    .append($(markDown2HTML(page.getContent())));
-		
-		contents.push($sec);
-		links.push($("<a href=\"#pages-"+toNice(page.getName())+"\">"+page.getName()+"</a>"));
+		contents.push(render("page",page));
+		links.push("<a href=\"#pages-"+toNice(page.getName())+"\">"+page.getName()+"</a>");
 	    }
 	    createSection("pages","Pages",contents);
 	    createMenuList("pages","Pages",links);
@@ -1397,58 +3025,8 @@ DOCJS.Generate = function(urls,opt){
 	    var links = [], contents = [];
 	    for(var i=0; i<doc.functions.length; i++){
 		var f = doc.functions[i];
-		var $sec = $("<section id=\"functions-"+toNice(f.getName())+"\"></section>")
-		    .append($("<h2>"+f.getName()+"</h2>"));
-
-		// Brief
-		if(f.getBrief()){
-		    $sec.append( $("<p class=\"brief\">"+f.getBrief()+"</p>"));
-		}
-
-		// Description
-		$sec.append($("<h3>Description</h3>"));
-		var params = [];
-		for(var k=0; k<f.numParams(); k++){
-		    params.push("<span class=\"datatype\">"+nameToLink(f.getParamDataType(k))+"</span> <span>" + f.getParamName(k) + "</span>");
-		}
-		$sec.append($("<span class=\"datatype\">"+
-			      (f.getReturnDataType() ? f.getReturnDataType() : "")+
-			      "</span> <span>" + 
-			      f.getName() + 
-			      " ( " + params.join(" , ") + " ) </span>"));
-		
-
-		// Description
-		if(f.getDescription()){
-		    $sec.append( $("<p class=\"description\">"+f.getDescription()+"</p>"));
-		}
-
-		// Parameters
-		if(f.numParams()>0){
-		    $sec.append($("<h3>Parameters</h3>"));
-		    var $params = $("<table></table>").addClass("member_overview");
-		    for(var k=0; k<f.numParams(); k++){
-			$params.append("<tr><td class=\"datatype\">"+nameToLink(f.getParamDataType(k) ? f.getParamDataType(k) : "")+"</td><td>" + f.getParamName(k) + "</td><td class=\"brief\">"+(f.getParamDescription(k) ? f.getParamDescription(k) : "")+"</td></tr>");
-		    }
-		    $sec.append($params);
-		}
-
-		// Return value
-		if(f.getReturnDescription()){
-		    $sec.append($("<h3>Return value</h3>"));
-		    $sec.append("<p>"+f.getReturnDescription(k)+"</p>");
-		}
-
-		// Examples
-		if(f.numExamples()){
-		    for(var j=0; j<f.numExamples(); j++){
-			// Example
-			$sec.append($("<h3>Example "+(j+1)+"</h3><div>"+markDown2HTML(f.getExampleText(j))+"</div>"));
-		    }
-		}
-
-		contents.push($sec);
-		links.push($("<a href=\"#functions-"+toNice(f.getName())+"\">"+f.getName()+"</a>"));
+		contents.push(render("function",f));
+		links.push("<a href=\"#"+entityToId(f)+"\">"+deprecate(f,f.getName())+"</a>");
 	    }
 	    createSection("functions","Functions",contents);
 	    createMenuList("functions","Functions",links);
@@ -1461,72 +3039,164 @@ DOCJS.Generate = function(urls,opt){
 	    for(var i=0; i<doc.classes.length; i++){
 		var c = doc.classes[i];
 		
-		var $sec = $("<section id=\"classes-"+toNice(c.getName())+"\"></section>");
-		$sec.append($("<h2>"+c.getName()+"</h2>"));
-
-		// Brief
-		if(c.getBrief())
-		    $sec.append($("<p class=\"brief\">"+c.getBrief()+"</p>"));
-
-		// Inheritance list
-		var extendsList = doc.getInheritanceList(c);
-		extendsList.shift();
-		if(extendsList.length >= 1){
-		    for(var j=0; j<extendsList.length; j++)
-			extendsList[j] = nameToLink(extendsList[j]);
-		    $sec.append($("<p>Extends "+extendsList.join(" → ")+"</p>"));
-		}
-
-		// Constructor
-		var args = [];
-		for(var j=0; j<c.numParams(); j++)
-		    args.push("<span class=\"datatype\">"+nameToLink(c.getParamDataType(j))+"</span> " + c.getParamName(j));
-		$sec.append($("<h3>Constructor</h3>"));
-		$sec.append($("<p>"+c.getName() + " ( " + args.join(" , ")+" )</p>"));
-
-		// Method overview table
-		var numMethods = c.numMethods();
-		if(numMethods>0){
-		    $sec.append($("<h3>Methods</h3>"));
-		    var $methods = $("<table></table>").addClass("member_overview");
-		    for(var k=0; k<numMethods; k++){
-			var method = c.getMethod(k);
-			var params = [];
-			for(var k=0; k<method.numParams(); k++){
-			    params.push("<span class=\"datatype\">"+nameToLink(method.getParamDataType(k))+"</span>" + " " + method.getParamName(k));
-			}
-			$methods
-			    .append($("<tr><td class=\"datatype\">"+(method.getReturnDataType() ? method.getReturnDataType() : "")+"</td><td>"
-				      + method.getName() + " ( " +params.join(" , ")+ " )</td></tr>"))
-			    .append($("<tr><td></td><td class=\"brief\">"+method.getBrief()+"</td></tr>"));
-		    }
-		    $sec.append($methods);
-		}
-		
-		// Properties
-		var numProperties = c.numProperties();
-		if(numProperties>0){
-		    $sec.append($("<h3>Properties</h3>"));
-		    var $properties = $("<table></table>").addClass("member_overview");
-		    for(var k=0; k<numProperties; k++){
-			$properties.append("<tr><td class=\"datatype\">"+(c.getPropertyDataType(k))+"</td><td>" + c.getPropertyName(k) + "</td><td class=\"brief\">"+(c.getPropertyBrief(k) ? c.getPropertyBrief(k) : "")+"</td></tr>");
-		    }
-		    $sec.append($properties);
+		contents.push(render("class",c));
+		links.push("<a href=\"#"+entityToId(c)+"\">"+deprecate(c,c.getName())+"</a>");
+	    }
+	    createSection("classes","Classes",contents);
+	    createMenuList("classes","Classes",links);
+	}
+
+	// Class hierarchy, as nested lists. hierarchyScript draws it as a tree when d3 is on the page.
+	var hierarchy = [];
+	if(options.hierarchy && doc.classes.length > 0){
+	    hierarchy = hierarchyToJSON(doc.getHierarchy());
+	    createSection("hierarchy","Class hierarchy",["<div id=\"hierarchy-tree\"></div>"+hierarchyList(hierarchy)]);
+	    createMenuList("hierarchy","Class hierarchy",[]);
+	}
+
+	// Events
+	if(doc.events.length > 0){
+	    var links = [], rows = [];
+	    var events = doc.events.slice(0).sort(function(a,b){
+		var an = fullName(a), bn = fullName(b);
+		return an > bn ? 1 : (an < bn ? -1 : 0);
+	    });
+	    for(var i=0; i<events.length; i++){
+		var e = events[i];
+		// Events of a class are shown in the class section, the rest get a row here
+		if(e.getClassName()){
+		    var owner = doc.nameToClass(e.getClassName());
+		    if(!owner || owner.getEventByName(e.getName())!==e) continue;
+		    rows.push("<tr><td><a href=\"#"+entityToId(e)+"\">"+fullName(e)+"</a></td><td class=\"brief\">"+eventBrief(e)+"</td></tr>");
+		} else
+		    rows.push(render("event",e));
+		links.push("<a href=\"#"+entityToId(e)+"\">"+fullName(e)+"</a>");
+	    }
+	    createSection("events","Events",["<table class=\"member_overview\">"+rows.join("")+"</table>"]);
+	    createMenuList("events","Events",links);
+	}
+
+	// Files
+	var files = doc.getFiles();
+	if(files.length > 0){
+	    var links = [], contents = [];
+	    for(var i=0; i<files.length; i++){
+		var file = files[i];
+		contents.push(render("file",file));
+		links.push("<a href=\"#files-"+toNice(file.filename)+"\">"+file.filename+"</a>");
+	    }
+	    createSection("files","Files",contents);
+	    createMenuList("files","Files",links);
+	}
+
+	// Source
+	if(options.sourceViewer){
+	    var links = [], contents = [];
+	    for(var i=0; i<files.length; i++){
+		var filename = files[i].filename;
+		if(!hasSource(filename)) continue;
+		contents.push("<section id=\"source-"+toNice(filename)+"\">"+
+			      "<h2>"+filename+"</h2>"+
+			      sourceToHTML(filename,doc.sources[filename],files[i].file ? [files[i].file].concat(files[i].entities) : files[i].entities)+
+			      "</section>");
+		links.push("<a href=\"#source-"+toNice(filename)+"\">"+filename+"</a>");
+	    }
+	    if(contents.length){
+		createSection("source","Source",contents);
+		createMenuList("source","Source",links);
+	    }
+	}
+
+	// Coverage
+	var coverage = doc.getCoverage();
+	if(coverage.total.entities > 0){
+	    var header = "<tr><th></th><th>Entities</th><th>Brief</th><th>Description</th><th>Params</th><th>Return</th><th>Coverage</th></tr>";
+	    var coverageRow = function(name,stats){
+		var html = "<tr><td>"+name+"</td><td>"+stats.entities+"</td>";
+		for(var i=0; i<coverageChecks.length; i++){
+		    var c = stats[coverageChecks[i]];
+		    html += "<td>"+(c.total ? c.documented+"/"+c.total : "-")+"</td>";
 		}
+		return html+"<td>"+stats.percent+"%</td></tr>";
+	    };
+	    var contents = ["<table class=\"coverage\">"+header+coverageRow("Total",coverage.total)+"</table>"],
+	        links = [];
 
-		// Examples
-		if(c.numExamples()){
-		    for(var j=0; j<c.numExamples(); j++){
-			// Example
-			$sec.append($("<h3>Example "+(j+1)+"</h3><div>"+markDown2HTML(c.getExampleText(j))+"</div>"));
-		    }
+	    var rows = [];
+	    for(var i=0; i<coverage.files.length; i++){
+		var stats = coverage.files[i];
+		if(stats.entities)
+		    rows.push(coverageRow("<a href=\"#files-"+toNice(stats.file)+"\">"+stats.file+"</a>",stats));
+	    }
+	    if(rows.length){
+		contents.push("<div id=\"coverage-files\"><h2>Files</h2><table class=\"coverage\">"+header+rows.join("")+"</table></div>");
+		links.push("<a href=\"#coverage-files\">Files</a>");
+	    }
+
+	    rows = [];
+	    for(var i=0; i<coverage.classes.length; i++){
+		var stats = coverage.classes[i];
+		if(stats.entities)
+		    rows.push(coverageRow(nameToLink(stats.name),stats));
+	    }
+	    if(rows.length){
+		contents.push("<div id=\"coverage-classes\"><h2>Classes</h2><table class=\"coverage\">"+header+rows.join("")+"</table></div>");
+		links.push("<a href=\"#coverage-classes\">Classes</a>");
+	    }
+
+	    if(coverage.undescribedParams.length){
+		var items = [];
+		for(var i=0; i<coverage.undescribedParams.length; i++){
+		    var p = coverage.undescribedParams[i], location = p.file+":"+p.line;
+		    if(hasSource(p.file))
+			location = "<a href=\"#"+lineToId(p.file,p.line)+"\">"+location+"</a>";
+		    items.push("<li>"+nameToLink(p.entity)+": <code>"+p.param+"</code> ("+location+")</li>");
 		}
+		contents.push("<div id=\"coverage-params\"><h2>Params without description ("+items.length+")</h2><ul>"+items.join("")+"</ul></div>");
+		links.push("<a href=\"#coverage-params\">Params without description</a>");
+	    }
+	    createSection("coverage","Coverage ("+coverage.total.percent+"%)",contents);
+	    createMenuList("coverage","Coverage ("+coverage.total.percent+"%)",links);
+	}
 
-		contents.push($sec);
-		links.push($("<a href=\"#classes-"+toNice(c.getName())+"\">"+c.getName()+"</a>"));
+	// Deprecated
+	var deprecated = doc.getDeprecated();
+	if(deprecated.length > 0){
+	    var links = [], contents = [];
+	    for(var i=0; i<deprecated.length; i++){
+		var d = deprecated[i];
+		var name = fullName(d);
+		var html = "<div id=\"deprecated-"+d.globalId+"\">"+
+		    "<h2><a href=\"#"+entityToId(d)+"\">"+deprecate(d,name)+"</a></h2>";
+		if(d.getDeprecatedReason())
+		    html += "<p>"+d.getDeprecatedReason()+"</p>";
+		if(d.getDeprecatedReplacement())
+		    html += "<p>Use "+nameToLink(d.getDeprecatedReplacement())+" instead.</p>";
+		contents.push(html+"</div>");
+		links.push("<a href=\"#"+entityToId(d)+"\">"+name+"</a>");
 	    }
-	    createSection("classes","Classes",contents);
-	    createMenuList("classes","Classes",links);
+	    createSection("deprecated","Deprecated ("+deprecated.length+")",contents);
+	    createMenuList("deprecated","Deprecated ("+deprecated.length+")",links);
+	}
+
+	// Authors
+	var authors = doc.getAuthors();
+	if(authors.length > 0){
+	    var links = [], contents = [];
+	    for(var i=0; i<authors.length; i++){
+		var author = authors[i], items = [];
+		for(var j=0; j<author.entities.length; j++){
+		    var e = author.entities[j];
+		    items.push("<li><a href=\"#"+entityToId(e)+"\">"+fullName(e)+"</a></li>");
+		}
+		contents.push("<div id=\""+authorToId(author.name)+"\">"+
+			      "<h2>"+escapeHTML(author.name)+"</h2>"+
+			      "<ul>"+items.join("")+"</ul>"+
+			      "</div>");
+		links.push("<a href=\"#"+authorToId(author.name)+"\">"+escapeHTML(author.name)+"</a>");
+	    }
+	    createSection("authors","Authors",contents);
+	    createMenuList("authors","Authors",links);
 	}
 
 	// Todos
@@ -1534,60 +3204,716 @@ DOCJS.Generate = function(urls,opt){
 	    var links = [], contents = [];
 	    for(var i=0; i<doc.todos.length; i++){
 		var todo = doc.todos[i];
-		var $sec = $("<div id=\"todos-"+todo.id+"\"></div>")
-		    .append($("<h2>"+todo.block[0].filename+" line "+todo.getLine()+"</h2>"))
-		    .append($("<p>"+todo.getContent()+"</p>"));
-		contents.push($sec);
+		contents.push(render("todo",todo));
 	    }
 	    createSection("todos","Todos ("+doc.todos.length+")",contents);
 	    createMenuList("todos","Todos ("+doc.todos.length+")",links);
 	}
 
-	// Errors
+	// Diagnostics, grouped by file. The checkboxes filter them by severity and code using CSS only, so that it also works in static pages.
 	if(doc.errors.length > 0){
-	    var links = [], contents = [];
+	    var links = [], contents = [], filters = [], rules = [];
+	    var errorFiles = [], byFile = {}, severities = {}, codes = {}, codeNames = [];
 	    for(var i=0; i<doc.errors.length; i++){
 		var error = doc.errors[i];
-		var $sec = $("<div id=\"errors-"+error.id+"\"></div>")
-		    .append($("<h2>Error "+error.id+"</h2><p>"+error.file+" on line "+error.lineNumber+"</p>"))
-		    .append($("<p>"+error.message+"</p>"));
-		contents.push($sec);
+		if(!(error.file in byFile)){
+		    byFile[error.file] = [];
+		    errorFiles.push(error.file);
+		}
+		byFile[error.file].push(error);
+		severities[error.severity] = (severities[error.severity] || 0) + 1;
+		if(!(error.code in codes)){
+		    codes[error.code] = 0;
+		    codeNames.push(error.code);
+		}
+		codes[error.code]++;
 	    }
-	    createSection("errors","Errors ("+doc.errors.length+")",contents);
-	    createMenuList("errors","Errors ("+doc.errors.length+")",links);
+	    codeNames.sort();
+
+	    var levels = ["error","warning","info"];
+	    for(var i=0; i<levels.length; i++){
+		if(!severities[levels[i]]) continue;
+		filters.push(diagnosticFilter("errors-show-"+levels[i],"<span class=\"badge "+levels[i]+"\">"+levels[i]+"</span> "+severities[levels[i]]));
+		rules.push("#errors-show-"+levels[i]+":not(:checked) ~ .diagnostics .severity-"+levels[i]+" { display:none; }");
+	    }
+	    for(var i=0; i<codeNames.length; i++){
+		var code = toNice(codeNames[i]);
+		filters.push(diagnosticFilter("errors-show-code-"+code,"<code>"+escapeHTML(codeNames[i])+"</code> "+codes[codeNames[i]]));
+		rules.push("#errors-show-code-"+code+":not(:checked) ~ .diagnostics .code-"+code+" { display:none; }");
+	    }
+
+	    var groups = [];
+	    for(var i=0; i<errorFiles.length; i++){
+		var file = errorFiles[i], id = "errors-file-"+toNice(file || "general");
+		var html = "<div class=\"file\" id=\""+id+"\"><h2>"+(file ? file : "General")+"</h2>";
+		for(var j=0; j<byFile[file].length; j++){
+		    var error = byFile[file][j];
+		    html += render("error",error);
+		}
+		groups.push(html+"</div>");
+		links.push("<a href=\"#"+id+"\">"+(file ? file : "General")+" ("+byFile[file].length+")</a>");
+	    }
+
+	    // The filters must be siblings before the list for the CSS rules to work
+	    contents.push("<style>"+rules.join("\n")+"</style>");
+	    contents = contents.concat(filters);
+	    if(doc.suppressed.length)
+		contents.push("<p class=\"suppressed\">"+doc.suppressed.length+" suppressed</p>");
+	    contents.push("<div class=\"diagnostics\">"+groups.join("")+"</div>");
+	    createSection("errors","Diagnostics ("+doc.errors.length+")",contents);
+	    createMenuList("errors","Diagnostics ("+doc.errors.length+")",links);
+	}
+
+	options.output(setupLayout(),doc);
+
+	// Render with a template from the templates option, or else the built-in one. It is called as template(entity,helpers).
+	function render(name,entity){
+	    var template = options.templates[name] || templates[name];
+	    return template(entity,templateHelpers);
+	}
+
+	function pageTemplate(page){
+	    return "<section id=\"pages-"+toNice(page.getName())+"\">"+
+		"<h2>"+page.getName()+"</h2>"+
+		linkify(markDown2HTML(page.getContent()))+
+		seeAlso(page)+
+		authorLinks(page)+
+		definedIn(page)+
+		"</section>";
+	}
+
+	function functionTemplate(f){
+	    var sec = "<section id=\""+entityToId(f)+"\">"+
+		"<h2>"+deprecate(f,f.getName())+"</h2>";
+
+	    // Brief
+	    if(f.getBrief()){
+		sec += "<p class=\"brief\">"+linkify(f.getBrief())+"</p>";
+	    }
+
+	    // Description
+	    sec += "<h3>Description</h3>";
+	    var params = [];
+	    for(var k=0; k<f.numParams(); k++){
+		params.push("<span class=\"datatype\">"+nameToLink(f.getParamDataType(k))+"</span> <span>" + f.getParamName(k) + "</span>");
+	    }
+	    sec += "<span class=\"datatype\">"+
+		(f.getReturnDataType() ? f.getReturnDataType() : "")+
+		"</span> <span>" + 
+		f.getName() + 
+		" ( " + params.join(" , ") + " ) </span>";
+
+	    // Description
+	    if(f.getDescription()){
+		sec += "<p class=\"description\">"+linkify(f.getDescription())+"</p>";
+	    }
+
+	    // Parameters
+	    if(f.numParams()>0){
+		sec += "<h3>Parameters</h3><table class=\"member_overview\">";
+		for(var k=0; k<f.numParams(); k++){
+		    sec += "<tr><td class=\"datatype\">"+nameToLink(f.getParamDataType(k) ? f.getParamDataType(k) : "")+"</td><td>" + f.getParamName(k) + "</td><td class=\"brief\">"+(f.getParamDescription(k) ? linkify(f.getParamDescription(k)) : "")+"</td></tr>";
+		}
+		sec += "</table>";
+	    }
+
+	    // Return value
+	    if(f.getReturnDescription()){
+		sec += "<h3>Return value</h3>";
+		sec += "<p>"+linkify(f.getReturnDescription())+"</p>";
+	    }
+
+	    // Events
+	    if(f.getFiredEvents().length){
+		sec += "<h3>Fires</h3>";
+		sec += "<p>"+eventLinks(f.getFiredEvents(),false)+"</p>";
+	    }
+
+	    sec += seeAlso(f);
+	    sec += authorLinks(f);
+	    sec += definedIn(f);
+
+	    // Examples
+	    if(f.numExamples()){
+		for(var j=0; j<f.numExamples(); j++){
+		    // Example
+		    sec += "<h3>Example "+(j+1)+"</h3><div>"+markDown2HTML(f.getExampleText(j))+"</div>";
+		}
+	    }
+	    return sec+"</section>";
+	}
+
+	// Two table rows: the signature, and the brief with links
+	function methodTemplate(method){
+	    var params = [];
+	    for(var i=0; i<method.numParams(); i++)
+		params.push("<span class=\"datatype\">"+nameToLink(method.getParamDataType(i))+"</span>" + " " + method.getParamName(i));
+	    return "<tr id=\""+entityToId(method)+"\"><td class=\"datatype\">"+(method.getReturnDataType() ? method.getReturnDataType() : "")+"</td><td>"
+		+ deprecate(method,method.getName()) + " ( " +params.join(" , ")+ " )</td></tr>"
+		+ "<tr><td></td><td class=\"brief\">"+(method.getBrief() ? linkify(method.getBrief()) : "")
+		+ overrides(method)
+		+ (method.getFiredEvents().length ? " <span class=\"fires\">Fires "+eventLinks(method.getFiredEvents(),method.getClassName())+"</span>" : "")
+		+ (method.getSeeAlso().length ? " <span class=\"see\">See "+seeLinks(method)+"</span>" : "")
+		+ (method.getAuthors().length ? " <span class=\"authors\">By "+authorNames(method)+"</span>" : "")
+		+ sourceLink(method," <span class=\"defined\">Defined in ","</span>")
+		+ "</td></tr>";
+	}
+
+	// A table row
+	function propertyTemplate(property){
+	    return "<tr id=\""+entityToId(property)+"\"><td class=\"datatype\">"+property.getDataType()+"</td><td>" + deprecate(property,property.getName()) + "</td><td class=\"brief\">"+(property.getBrief() ? linkify(property.getBrief()) : "")
+		+ overrides(property)
+		+ (property.getSeeAlso().length ? " <span class=\"see\">See "+seeLinks(property)+"</span>" : "")
+		+ sourceLink(property," <span class=\"defined\">Defined in ","</span>")
+		+ "</td></tr>";
+	}
+
+	function classTemplate(c){
+	    var sec = "<section id=\""+entityToId(c)+"\">";
+	    sec += "<h2>"+deprecate(c,c.getName())+"</h2>";
+
+	    // Brief
+	    if(c.getBrief())
+		sec += "<p class=\"brief\">"+linkify(c.getBrief())+"</p>";
+
+	    // Description
+	    if(c.getDescription())
+		sec += "<p class=\"description\">"+linkify(c.getDescription())+"</p>";
+
+	    sec += authorLinks(c);
+	    sec += definedIn(c);
+
+	    // Inheritance list
+	    var extendsList = doc.getInheritanceList(c);
+	    extendsList.shift();
+	    if(extendsList.length >= 1){
+		for(var j=0; j<extendsList.length; j++)
+		    extendsList[j] = nameToLink(extendsList[j]);
+		sec += "<p>Extends "+extendsList.join(" → ")+"</p>";
+	    }
+
+	    // Classes that extend this one. All of them are listed only if some extend it through others.
+	    var subclasses = doc.getSubclasses(c), descendants = doc.getDescendants(c);
+	    if(subclasses.length)
+		sec += "<p class=\"subclasses\">Known subclasses: "+classLinks(subclasses)+"</p>";
+	    if(descendants.length > subclasses.length)
+		sec += "<p class=\"descendants\">All known subclasses: "+classLinks(descendants)+"</p>";
+
+	    // Constructor
+	    var args = [];
+	    for(var j=0; j<c.numParams(); j++)
+		args.push("<span class=\"datatype\">"+nameToLink(c.getParamDataType(j))+"</span> " + c.getParamName(j));
+	    sec += "<h3>Constructor</h3>";
+	    sec += "<p>"+c.getName() + " ( " + args.join(" , ")+" )</p>";
+
+	    // Method overview table
+	    var numMethods = c.numMethods();
+	    if(numMethods>0){
+		sec += "<h3>Methods</h3><table class=\"member_overview\">";
+		for(var k=0; k<numMethods; k++)
+		    sec += render("method",c.getMethod(k));
+		sec += "</table>";
+	    }
+
+	    // Properties
+	    var numProperties = c.numProperties();
+	    if(numProperties>0){
+		sec += "<h3>Properties</h3><table class=\"member_overview\">";
+		for(var k=0; k<numProperties; k++)
+		    sec += render("property",c.getProperty(k));
+		sec += "</table>";
+	    }
+
+	    // Inherited members, grouped by the class they come from
+	    var inherited = doc.getInheritedMembers(c);
+	    for(var j=0; j<inherited.length; j++){
+		var parent = inherited[j]["class"];
+		sec += "<h3>Inherited from <a href=\"#"+entityToId(parent)+"\">"+deprecate(parent,parent.getName())+"</a></h3><table class=\"member_overview inherited\">";
+		for(var k=0; k<inherited[j].methods.length; k++)
+		    sec += render("inherited",inherited[j].methods[k]);
+		for(var k=0; k<inherited[j].properties.length; k++)
+		    sec += render("inherited",inherited[j].properties[k]);
+		sec += "</table>";
+	    }
+
+	    // Events
+	    var numEvents = c.numEvents();
+	    if(numEvents>0){
+		sec += "<h3>Events</h3><table class=\"member_overview\">";
+		for(var k=0; k<numEvents; k++)
+		    sec += render("event",c.getEvent(k));
+		sec += "</table>";
+	    }
+
+	    // Examples
+	    if(c.numExamples()){
+		for(var j=0; j<c.numExamples(); j++){
+		    // Example
+		    sec += "<h3>Example "+(j+1)+"</h3><div>"+markDown2HTML(c.getExampleText(j))+"</div>";
+		}
+	    }
+
+	    sec += seeAlso(c);
+	    return sec+"</section>";
+	}
+
+	function classLinks(classes){
+	    var links = [];
+	    for(var i=0; i<classes.length; i++)
+		links.push("<a href=\"#"+entityToId(classes[i])+"\">"+deprecate(classes[i],classes[i].getName())+"</a>");
+	    return links.join(", ");
+	}
+
+	// "Overrides Parent.name", linked to the overridden method or property
+	function overrides(member){
+	    var overridden = doc.getOverriddenMember(member);
+	    if(!overridden)
+		return "";
+	    return " <span class=\"overrides\">Overrides <a href=\"#"+entityToId(overridden)+"\">"+fullName(overridden)+"</a></span>";
+	}
+
+	// Table row for an inherited method or property, linked to where it is documented
+	function inheritedTemplate(member){
+	    var signature = "";
+	    if(member instanceof DOCJS.MethodEntity){
+		var params = [];
+		for(var i=0; i<member.numParams(); i++)
+		    params.push("<span class=\"datatype\">"+nameToLink(member.getParamDataType(i))+"</span> "+member.getParamName(i));
+		signature = " ( "+params.join(" , ")+" )";
+	    }
+	    var dataType = member instanceof DOCJS.MethodEntity ? member.getReturnDataType() : member.getDataType();
+	    return "<tr><td class=\"datatype\">"+(dataType ? dataType : "")+"</td>"+
+		"<td><a href=\"#"+entityToId(member)+"\">"+deprecate(member,member.getName())+"</a>"+signature+"</td>"+
+		"<td class=\"brief\">"+(member.getBrief() ? linkify(member.getBrief()) : "")+"</td></tr>";
+	}
+
+	// Overview of a source file, given an item of Documentation.getFiles
+	function fileTemplate(file){
+	    var f = file.file;
+	    var sec = "<section id=\"files-"+toNice(file.filename)+"\">"+
+		"<h2>"+file.filename+"</h2>";
+	    if(f){
+		if(f.getName()!=file.filename)
+		    sec += "<p>"+f.getName()+"</p>";
+		if(f.getBrief())
+		    sec += "<p class=\"brief\">"+linkify(f.getBrief())+"</p>";
+		if(f.getDescription())
+		    sec += "<p class=\"description\">"+linkify(f.getDescription())+"</p>";
+		sec += authorLinks(f);
+	    }
+	    if(hasSource(file.filename))
+		sec += "<p class=\"defined\"><a href=\"#source-"+toNice(file.filename)+"\">View source</a></p>";
+
+	    // Everything documented in the file, in line order
+	    if(file.entities.length){
+		sec += "<h3>Contents</h3><table class=\"member_overview\">";
+		for(var j=0; j<file.entities.length; j++){
+		    var e = file.entities[j];
+		    sec += "<tr><td>"+e.block[0].lineNumber+"</td><td>"+entityKind(e)+"</td>"+
+			"<td><a href=\"#"+entityToId(e)+"\">"+deprecate(e,fullName(e))+"</a></td>"+
+			"<td class=\"brief\">"+(e.getBrief && e.getBrief() ? linkify(e.getBrief()) : "")+"</td></tr>";
+		}
+		sec += "</table>";
+	    }
+
+	    if(file.todos.length){
+		var items = [];
+		for(var j=0; j<file.todos.length; j++){
+		    var todo = file.todos[j];
+		    items.push("<li><a href=\"#todos-"+todo.id+"\">Line "+todo.getLine()+"</a>: "+todo.getContent()+"</li>");
+		}
+		sec += "<h3>Todos</h3><ul>"+items.join("")+"</ul>";
+	    }
+	    if(file.errors.length){
+		var items = [];
+		for(var j=0; j<file.errors.length; j++){
+		    var error = file.errors[j];
+		    items.push("<li><a href=\"#errors-"+error.id+"\">Line "+error.lineNumber+"</a>: "+escapeHTML(error.message.split("\n")[0])+"</li>");
+		}
+		sec += "<h3>Errors</h3><ul>"+items.join("")+"</ul>";
+	    }
+	    if(f)
+		sec += seeAlso(f);
+	    return sec+"</section>";
+	}
+
+	function todoTemplate(todo){
+	    return "<div id=\"todos-"+todo.id+"\">"+
+		"<h2>"+sourceLink(todo,"","",todo.getLine())+"</h2>"+
+		"<p>"+todo.getContent()+"</p>"+
+		"</div>";
+	}
+
+	// A diagnostic, given a DOCJS.ErrorReport. Keep the severity and code classes, the filters in the Diagnostics section use them.
+	function errorTemplate(error){
+	    return "<div id=\"errors-"+error.id+"\" class=\"diagnostic severity-"+error.severity+" code-"+toNice(error.code)+"\">"+
+		"<h3><span class=\"badge "+error.severity+"\">"+error.severity+"</span> <code>"+escapeHTML(error.code)+"</code> "+errorLocation(error)+"</h3>"+
+		"<p>"+escapeHTML(error.message).replace(/\n/g,"<br/>")+"</p>"+
+		"</div>";
+	}
+
+	// The trees of Documentation.getHierarchy, with the HTML id of each class instead of the class. Undocumented classes have no id.
+	function hierarchyToJSON(nodes){
+	    var json = [];
+	    for(var i=0; i<nodes.length; i++)
+		json.push({
+		    name:nodes[i].name,
+		    id:nodes[i]["class"] ? entityToId(nodes[i]["class"]) : false,
+		    children:hierarchyToJSON(nodes[i].children)
+		});
+	    return json;
+	}
+	function hierarchyList(nodes){
+	    var html = "<ul class=\"hierarchy\">";
+	    for(var i=0; i<nodes.length; i++){
+		var n = nodes[i];
+		html += "<li>"+(n.id ? "<a href=\"#"+n.id+"\">"+n.name+"</a>" : "<span class=\"undocumented\">"+n.name+"</span>")+
+		    (n.children.length ? hierarchyList(n.children) : "")+
+		    "</li>";
+	    }
+	    return html+"</ul>";
+	}
+
+	// What the search box searches: the name, kind, brief and the rest of the text of each entity, as plain text
+	function searchIndex(){
+	    var entities = doc.getEntities(), index = [];
+	    for(var i=0; i<entities.length; i++){
+		var e = entities[i], text = [];
+		if(e.getContent)
+		    text.push(e.getContent());
+		if(e.getDescription && e.getDescription())
+		    text.push(e.getDescription());
+		if(e.numParams)
+		    for(var j=0; j<e.numParams(); j++)
+			if(e.getParamDescription(j))
+			    text.push(e.getParamName(j)+" "+e.getParamDescription(j));
+		if(e.getReturnDescription && e.getReturnDescription())
+		    text.push(e.getReturnDescription());
+		index.push({
+		    name:fullName(e),
+		    kind:entityKind(e),
+		    id:entityToId(e),
+		    brief:e.getBrief && e.getBrief() ? plainText(e.getBrief()) : "",
+		    text:plainText(text.join(" "))
+		});
+	    }
+	    return index;
+	}
+	function plainText(s){
+	    return trim((s+"")
+			.replace(/\{@link\s+([^}|]+?)(?:\s*\|\s*([^}]*))?\s*\}/g,function(match,name,label){ return label ? label : name; })
+			.replace(/<[^>]*>/g," ")
+			.replace(/\s+/g," "));
 	}
 
-	
 	function setupLayout(){
-	    // Setup basic page layout
-	    $("body")
-		.html("")
-		.append("<article>\
-<nav><div id=\"logo\"></div></nav>\
-<div id=\"content\"></div>\
-</article>\
-<footer>\
-<p>Documentation generated by <a href=\"http://github.com/schteppe/doc.js\">doc.js</a>.</p>\
-</footer>");
+	    // Library info
+	    var title = options.title, version = "0.0.0", description = options.description;
+	    if(doc.library){
+		title = doc.library.getName();
+		version = doc.library.getVersion();
+		description = doc.library.getBrief();
+	    }
 
-	    // Set repos header
-	    $("#logo")
-		.append("<h1><span id=\"libtitle\">"+options.title+"</span><sup id=\"libversion\"></sup></h1>")
-		.append("<p id=\"libdesc\">"+options.description+"</p>");
+	    // The search box, the router and the theme switcher work on their own, so that they also work in pages that are saved, e.g. by the command line tool
+	    var search = "", themes = "", script = "";
+	    if(options.search){
+		search = "<div id=\"search\"><input type=\"search\" placeholder=\"Search\" autocomplete=\"off\"/><ol></ol></div>";
+		script += "<script>("+searchScript+")("+JSON.stringify(searchIndex()).replace(/</g,"\\u003c")+");</script>";
+	    }
+	    if(options.router)
+		script += "<script>("+routerScript+")();</script>";
+	    if(hierarchy.length)
+		script += "<script>("+hierarchyScript+")("+JSON.stringify(hierarchy).replace(/</g,"\\u003c")+");</script>";
+	    var layout = theme && theme.layout ? theme.layout : DOCJS.defaultLayout;
+	    if(switcherThemes.length){
+		var choices = {};
+		themes = "<div id=\"themes\"><label>Theme <select>";
+		for(var i=0; i<switcherThemes.length; i++){
+		    var name = switcherThemes[i];
+		    themes += "<option value=\""+escapeHTML(name)+"\""+(name==themeName ? " selected=\"selected\"" : "")+">"+escapeHTML(name)+"</option>";
+		    choices[name] = { stylesheet:DOCJS.themes[name].stylesheet, sameLayout:(DOCJS.themes[name].layout || DOCJS.defaultLayout)===layout };
+		}
+		themes += "</select></label></div>";
+		script += "<script>("+themeScript+")("+JSON.stringify(choices).replace(/</g,"\\u003c")+","+JSON.stringify(themeStorageKey)+");</script>";
+	    }
+
+	    return (theme ? "<link rel=\"stylesheet\" type=\"text/css\" id=\"docjs-theme\" href=\""+escapeHTML(theme.stylesheet)+"\"/>" : "")+
+		layout({
+		    title:title,
+		    version:version ? version : "",
+		    description:description ? description : "",
+		    search:search,
+		    themes:themes,
+		    nav:nav.join(""),
+		    content:content.join(""),
+		    footer:"<p>Documentation generated by <a href=\"http://github.com/schteppe/doc.js\">doc.js</a>.</p>"
+		})+
+		script;
 	}
 
 
 	// Convert a name to a link, or just return the input name
 	function nameToLink(name){
+	    if(!name)
+		return "";
 	    var r = name;
 	    var entity = doc.nameToEntity(name);
-	    if(entity){
-		if(entity instanceof DOCJS.ClassEntity)
-		    r = "<a href=\"#classes-"+toNice(name)+"\">"+name+"</a>";
-	    }
+	    if(entity)
+		r = "<a href=\"#"+entityToId(entity)+"\">"+name+"</a>";
 	    return r;
 	}
 
+	// Turn {@link name}, {@link name label} and {@link name|label} tags into links. With the autoLink option, entity names in the text are linked too.
+	// Text inside HTML tags, links and code is left as it is.
+	var linkPattern = false;
+	function linkify(html){
+	    if(!html)
+		return html;
+	    if(!linkPattern){
+		var names = doc.getNames();
+		for(var i=0; i<names.length; i++)
+		    names[i] = names[i].replace(/[\-\[\]\/{}()*+?.\\^$|]/g,"\\$&");
+		names.sort(function(a,b){ return b.length-a.length; }); // Longest first, so Foo.bar wins over Foo
+		var pattern = "\\{@link\\s+([^}|]+?)(?:\\s*\\|\\s*([^}]*))?\\s*\\}";
+		if(options.autoLink && names.length)
+		    pattern += "|(^|[^\\w.$#\\-])("+names.join("|")+")(?![\\w$])";
+		linkPattern = new RegExp(pattern,"g");
+	    }
+	    var parts = (html+"").split(/(<[^>]*>)/), skip = 0;
+	    for(var i=0; i<parts.length; i++){
+		if(parts[i].charAt(0)=="<"){
+		    if(parts[i].match(/^<(a|code|pre)[\s>]/i)) skip++;
+		    else if(parts[i].match(/^<\/(a|code|pre)>/i)) skip = Math.max(0,skip-1);
+		} else if(!skip){
+		    parts[i] = parts[i].replace(linkPattern,function(match,name,label,before,bareName){
+			if(typeof(name)=="undefined")
+			    return before+"<a href=\"#"+entityToId(doc.nameToEntity(bareName))+"\">"+bareName+"</a>";
+			// The whole text may be a name with spaces, else the first word is the name
+			if(!label && !doc.nameToEntity(name) && name.match(/\s/)){
+			    label = trim(name.substr(name.search(/\s/)));
+			    name = name.substr(0,name.search(/\s/));
+			}
+			label = label ? trim(label) : name;
+			var entity = doc.nameToEntity(name);
+			return entity ? "<a href=\"#"+entityToId(entity)+"\">"+label+"</a>" : label;
+		    });
+		}
+	    }
+	    return parts.join("");
+	}
+
+	// Get the HTML id of the element that shows an entity
+	function entityToId(entity){
+	    if(entity instanceof DOCJS.FunctionEntity)
+		return "functions-"+toNice(entity.getName());
+	    if(entity instanceof DOCJS.ClassEntity)
+		return "classes-"+toNice(entity.getName());
+	    if(entity instanceof DOCJS.MethodEntity)
+		return "classes-"+toNice(entity.getClassName())+"-methods-"+toNice(entity.getName());
+	    if(entity instanceof DOCJS.PropertyEntity)
+		return "classes-"+toNice(entity.getClassName())+"-properties-"+toNice(entity.getName());
+	    if(entity instanceof DOCJS.PageEntity)
+		return "pages-"+toNice(entity.getName());
+	    if(entity instanceof DOCJS.FileEntity)
+		return "files-"+toNice(entity.getFilename());
+	    if(entity instanceof DOCJS.EventEntity)
+		return entity.getClassName() ?
+		    "classes-"+toNice(entity.getClassName())+"-events-"+toNice(entity.getName()) :
+		    "events-"+toNice(entity.getName());
+	    return "";
+	}
+
+	// Source viewer ids: one for each line, and one for each block and the code after it
+	function hasSource(filename){
+	    return options.sourceViewer && typeof(doc.sources[filename])=="string";
+	}
+	function lineToId(filename,line){
+	    return "source-"+toNice(filename)+"-"+line;
+	}
+	function blockToId(block){
+	    return "source-"+toNice(block.filename)+"-block-"+block.lineNumber;
+	}
+
+	// "file.js:123", linked to the source viewer when the file is there. Links to the whole block, or to a single line if given.
+	function sourceLink(entity,before,after,line){
+	    var block = entity.block[0], text = block.filename+":"+(line ? line : block.lineNumber);
+	    if(!block.filename)
+		return "";
+	    if(hasSource(block.filename))
+		text = "<a href=\"#"+(line ? lineToId(block.filename,line) : blockToId(block))+"\">"+text+"</a>";
+	    return before+text+after;
+	}
+	function definedIn(entity){
+	    return sourceLink(entity,"<p class=\"defined\">Defined in ","</p>");
+	}
+	function errorLocation(error){
+	    if(!error.file)
+		return "";
+	    var text = error.file+":"+error.lineNumber+":"+error.column;
+	    if(hasSource(error.file))
+		text = "<a href=\"#"+lineToId(error.file,error.lineNumber)+"\">"+text+"</a>";
+	    return text;
+	}
+
+	// Source code with line numbers and syntax highlighting. The blocks of the given entities and the code after them are wrapped, so that they can be highlighted.
+	function sourceToHTML(filename,src,entities){
+	    var lines = highlight(src).split("\n"), ranges = [], seen = {};
+	    for(var i=0; i<entities.length; i++){
+		var block = entities[i].block[0];
+		if(seen[block.id]) continue;
+		seen[block.id] = true;
+		ranges.push(block);
+	    }
+	    ranges.sort(function(a,b){ return a.lineNumber-b.lineNumber; });
+
+	    var html = "", r = 0, open = false;
+	    for(var i=0; i<lines.length; i++){
+		var n = i+1;
+		// Skip blocks that start inside the previous one
+		while(r<ranges.length && ranges[r].lineNumber<n)
+		    r++;
+		if(!open && r<ranges.length && ranges[r].lineNumber==n){
+		    open = ranges[r];
+		    html += "<span class=\"block\" id=\""+blockToId(open)+"\">";
+		}
+		html += "<span class=\"line\" id=\""+lineToId(filename,n)+"\"><span class=\"lineno\">"+n+"</span>"+lines[i]+"\n</span>";
+		if(open && open.endLineNumber<=n){
+		    html += "</span>";
+		    open = false;
+		}
+	    }
+	    if(open)
+		html += "</span>";
+	    return "<pre class=\"source\">"+html+"</pre>";
+	}
+
+	// Escape and highlight Javascript. Tokens that span several lines are closed and reopened at each newline, so the result can be split into lines.
+	function highlight(src){
+	    // Regex literals come first, so slashes and quotes in them are not taken for comments or strings. They can only follow some tokens, else a slash is a division.
+	    var token = /((?:^|[(,=:\[!&|?{};])\s*|\breturn\s+)(\/(?![*\/])(?:\\.|\[(?:\\.|[^\]\\\n])*\]|[^\/\\\n\[])+\/[gimsuy]*)|(\/\*[\s\S]*?\*\/|\/\/[^\n]*)|("(?:\\.|[^"\\\n])*"|'(?:\\.|[^'\\\n])*')|\b(break|case|catch|continue|default|delete|do|else|false|finally|for|function|if|in|instanceof|new|null|return|switch|this|throw|true|try|typeof|undefined|var|void|while|with)\b|\b(\d+(?:\.\d+)?)\b/g;
+	    var classes = [false,false,"regexp","comment","string","keyword","numeric"];
+	    var html = "", last = 0, result;
+	    while((result = token.exec(src)) !== null){
+		html += escapeHTML(src.substring(last,result.index));
+		if(result[1])
+		    html += highlight(result[1]); // The token before a regex literal
+		for(var i=2; i<classes.length; i++){
+		    if(typeof(result[i])=="string" && result[i]!=""){
+			var open = "<span class=\""+classes[i]+"\">";
+			html += open+escapeHTML(result[i]).split("\n").join("</span>\n"+open)+"</span>";
+			break;
+		    }
+		}
+		last = result.index+result[0].length;
+	    }
+	    return html+escapeHTML(src.substr(last));
+	}
+
+	// A checkbox with a label, for filtering diagnostics
+	function diagnosticFilter(id,label){
+	    return "<input type=\"checkbox\" class=\"filter\" id=\""+id+"\" checked=\"checked\"/><label for=\""+id+"\">"+label+"</label> ";
+	}
+
+	// What kind of entity it is, e.g. "Class"
+	function entityKind(e){
+	    if(e instanceof DOCJS.PageEntity) return "Page";
+	    if(e instanceof DOCJS.ClassEntity) return "Class";
+	    if(e instanceof DOCJS.FunctionEntity) return "Function";
+	    if(e instanceof DOCJS.MethodEntity) return "Method";
+	    if(e instanceof DOCJS.PropertyEntity) return "Property";
+	    if(e instanceof DOCJS.EventEntity) return "Event";
+	    return "";
+	}
+
+	// Full name of an entity, e.g. ClassName.methodName for class members
+	function fullName(e){
+	    return e.getClassName && e.getClassName() ? e.getClassName()+"."+e.getName() : e.getName();
+	}
+
+	// Get the HTML id of an author in the Authors section. Numbered, since different names can look the same after toNice.
+	var authorIds = false;
+	function authorToId(name){
+	    if(!authorIds){
+		authorIds = {};
+		var authors = doc.getAuthors();
+		for(var i=0; i<authors.length; i++)
+		    authorIds[authors[i].name] = "authors-"+(i+1);
+	    }
+	    return authorIds.hasOwnProperty(name) ? authorIds[name] : "authors";
+	}
+
+	// Author names of an entity, linked to the Authors section
+	function authorNames(entity){
+	    var names = entity.getAuthors(), links = [];
+	    for(var i=0; i<names.length; i++)
+		links.push("<a href=\"#"+authorToId(names[i])+"\">"+escapeHTML(names[i])+"</a>");
+	    return links.join(", ");
+	}
+	function authorLinks(entity){
+	    if(!entity.getAuthors().length)
+		return "";
+	    return "<p class=\"authors\">By "+authorNames(entity)+"</p>";
+	}
+
+	// Table row that describes an event and its payload
+	function eventTemplate(e){
+	    var params = [];
+	    for(var i=0; i<e.numParams(); i++)
+		params.push("<span class=\"datatype\">"+nameToLink(e.getParamDataType(i))+"</span> "+e.getParamName(i));
+	    return "<tr id=\""+entityToId(e)+"\"><td>"+e.getName()+(params.length ? " ( "+params.join(" , ")+" )" : "")+"</td>"+
+		"<td class=\"brief\">"+eventBrief(e)+sourceLink(e," <span class=\"defined\">Defined in ","</span>")+"</td></tr>";
+	}
+
+	function eventBrief(e){
+	    return linkify(e.getBrief() ? e.getBrief() : (e.getDescription() ? e.getDescription() : ""));
+	}
+
+	// Link to a @see target, followed by its label
+	function seeLink(see){
+	    var target = see.getTarget(), label = see.getLabel(), link = escapeHTML(target);
+	    var entity = doc.seeToEntity(see);
+	    if(isURL(target))
+		link = "<a href=\""+escapeHTML(target.match(/^www\./) ? "http://"+target : target)+"\">"+escapeHTML(target)+"</a>";
+	    else if(entity && entity===doc.nameToEntity(see.getText()))
+		return "<a href=\"#"+entityToId(entity)+"\">"+escapeHTML(see.getText())+"</a>";
+	    else if(entity)
+		link = "<a href=\"#"+entityToId(entity)+"\">"+escapeHTML(target)+"</a>";
+	    return link+(label ? " "+escapeHTML(label) : "");
+	}
+	function seeLinks(entity){
+	    var see = entity.getSeeAlso(), links = [];
+	    for(var i=0; i<see.length; i++)
+		links.push(seeLink(see[i]));
+	    return links.join(", ");
+	}
+	function seeAlso(entity){
+	    var see = entity.getSeeAlso();
+	    if(!see.length)
+		return "";
+	    var html = "<h3>See also</h3><ul class=\"see\">";
+	    for(var i=0; i<see.length; i++)
+		html += "<li>"+seeLink(see[i])+"</li>";
+	    return html+"</ul>";
+	}
+
+	// Links to events given with @fires
+	function eventLinks(names,className){
+	    var links = [];
+	    for(var i=0; i<names.length; i++){
+		var e = doc.findEvent(names[i],className);
+		links.push(e ? "<a href=\"#"+entityToId(e)+"\">"+names[i]+"</a>" : names[i]);
+	    }
+	    return links.join(", ");
+	}
+
+	// Strike through the name of a deprecated entity and add a badge
+	function deprecate(entity,html){
+	    if(!entity.isDeprecated())
+		return html;
+	    return "<del class=\"deprecated\">"+html+"</del> <span class=\"badge deprecated\">deprecated</span>";
+	}
+
 	function markDown2HTML(m){
 	    if(typeof(Markdown)!="undefined"){
 		var converter = Markdown.getSanitizingConverter();
@@ -1597,57 +3923,448 @@ DOCJS.Generate = function(urls,opt){
 	}
 
 	// Create a section e.g. Classes, Functions, etc
-	function createSection(id,title,$content){
-	    var $title =  $("<h1>"+title+"</h1>");
-	    var $section = $("<section id=\""+id+"\"></section>");
-	    $section
-		.append($title);
-	    if($content.length)
-		for(var i=0; i<$content.length; i++)
-		    $section.append($content[i]);
-	    else
-		$section.append($content);
-	    $("#content").append($section);
+	function createSection(id,title,contents){
+	    content.push("<section id=\""+id+"\">"+
+			 "<h1>"+title+"</h1>"+
+			 contents.join("")+
+			 "</section>");
 	}
 	
 	// Create corresp. menu list
 	function createMenuList(id,title,items){
-	    var $ul = $("<ul></ul>");
-	    $("nav")
-		.append("<h2><a href=\"#"+id+"\">"+title+"</a></h2>")
-		.append($ul);
-	    for(var i=0; i<items.length; i++){
-		$li = $("<li></li>");
-		$li.append(items[i]);
-		$ul.append($li);
-	    }
+	    var html = "<h2><a href=\"#"+id+"\">"+title+"</a></h2><ul>";
+	    for(var i=0; i<items.length; i++)
+		html += "<li>"+items[i]+"</li>";
+	    nav.push(html+"</ul>");
 	}
     }
     
-    function loadBlocks(urls,callback){
-	// Get the files
-	var numLoaded = 0;
-	var errors = [];
-	for(var i=0; i<urls.length; i++){
-	    var file = urls[i];
-	    $.ajax({
-		url:urls[i],
-		dataType:'text',
-		async:true,
-		success:function(data){
-		    var blocks = parseBlocks(data,file,errors);
-		    numLoaded++;
-		    if(numLoaded==urls.length)
-			callback(blocks,errors);
-		},
-		error:function(){
-		    // todo
-		    numLoaded++;
-		    if(numLoaded==urls.length)
-			callback(blocks,errors);
+    // The search box in the nav, given the index from updateHTML. It is put in the page as source code, so it can only use what is inside it.
+    // Names and briefs are matched fuzzily, the rest of the texts word by word. Every word of the query must match something.
+    function searchScript(index){
+	var root = document.getElementById("search");
+	if(!root) return;
+	var nav = root.parentNode, input = root.getElementsByTagName("input")[0], list = root.getElementsByTagName("ol")[0];
+	var results = [], active = -1, maxResults = 20;
+
+	function escape(s){ return s.replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;"); }
+
+	// A word start is the start of the text, after a non-letter, or a capital letter in camelCase
+	function isWordStart(text,i){
+	    return i==0 || /[^A-Za-z0-9]/.test(text.charAt(i-1)) || (/[A-Z]/.test(text.charAt(i)) && /[a-z]/.test(text.charAt(i-1)));
+	}
+
+	// Find the characters of the term in order. Runs and word starts give more points. Returns the mean points per character and the positions.
+	function fuzzy(term,text){
+	    var lower = text.toLowerCase(), points = 0, positions = [], last = -1;
+	    for(var i=0; i<term.length; i++){
+		var j = lower.indexOf(term.charAt(i),last+1);
+		if(j==-1) return false;
+		points += (last!=-1 && j==last+1) ? 3 : (isWordStart(text,j) ? 2 : 0);
+		positions.push(j);
+		last = j;
+	    }
+	    return { points:points/term.length, positions:positions };
+	}
+	function range(start,length){
+	    var positions = [];
+	    for(var i=0; i<length; i++)
+		positions.push(start+i);
+	    return positions;
+	}
+
+	function matchName(term,name){
+	    var lower = name.toLowerCase(), i = lower.indexOf(term);
+	    if(i!=-1){
+		var score = 60;
+		if(lower==term || lower.substr(lower.length-term.length-1)=="."+term) score = 100;
+		else if(i==0 || name.charAt(i-1)==".") score = 80;
+		else if(isWordStart(name,i)) score = 70;
+		return { score:score, positions:range(i,term.length) };
+	    }
+	    var f = fuzzy(term,name);
+	    return f && f.points>=2 ? { score:20+10*f.points, positions:f.positions } : false;
+	}
+	function matchBrief(term,brief){
+	    var i = brief.toLowerCase().indexOf(term);
+	    if(i!=-1)
+		return { score:isWordStart(brief,i) ? 35 : 30, positions:range(i,term.length) };
+	    var f = fuzzy(term,brief);
+	    return f && f.points>=2 ? { score:10+5*f.points, positions:f.positions } : false;
+	}
+
+	function search(query){
+	    var terms = query.toLowerCase().split(/\s+/), found = [];
+	    for(var i=0; i<terms.length; i++)
+		if(!terms[i]) terms.splice(i--,1);
+	    for(var i=0; i<index.length && terms.length; i++){
+		var e = index[i], r = { entry:e, score:0, name:[], brief:[], text:false };
+		for(var j=0; j<terms.length; j++){
+		    var best = 0, m, t;
+		    if((m = matchName(terms[j],e.name))){
+			best = m.score;
+			r.name = r.name.concat(m.positions);
+		    }
+		    if((m = matchBrief(terms[j],e.brief))){
+			best = Math.max(best,m.score);
+			r.brief = r.brief.concat(m.positions);
+		    }
+		    if((t = e.text.toLowerCase().indexOf(terms[j]))!=-1){
+			best = Math.max(best,10);
+			if(!r.text) r.text = [t,terms[j].length];
+		    }
+		    if(!best) break;
+		    r.score += best;
 		}
+		if(j==terms.length)
+		    found.push(r);
+	    }
+	    found.sort(function(a,b){
+		return b.score-a.score || a.entry.name.length-b.entry.name.length || (a.entry.name<b.entry.name ? -1 : 1);
 	    });
+	    return found.slice(0,maxResults);
 	}
+
+	// Wrap the characters at the given positions in <mark>
+	function highlight(text,positions){
+	    var html = "", open = false;
+	    for(var i=0; i<text.length; i++){
+		var marked = positions.indexOf(i)!=-1;
+		if(marked!=open){
+		    html += marked ? "<mark>" : "</mark>";
+		    open = marked;
+		}
+		html += escape(text.charAt(i));
+	    }
+	    return html+(open ? "</mark>" : "");
+	}
+	// Some text around a match in the full text
+	function snippet(text,match){
+	    var start = Math.max(0,match[0]-30), end = Math.min(text.length,match[0]+match[1]+50);
+	    return (start>0 ? "..." : "")+
+		escape(text.substring(start,match[0]))+
+		"<mark>"+escape(text.substr(match[0],match[1]))+"</mark>"+
+		escape(text.substring(match[0]+match[1],end))+
+		(end<text.length ? "..." : "");
+	}
+
+	function update(){
+	    var query = input.value;
+	    results = search(query);
+	    active = results.length ? 0 : -1;
+	    var html = "";
+	    for(var i=0; i<results.length; i++){
+		var r = results[i], e = r.entry;
+		html += "<li><a href=\"#"+e.id+"\">"+
+		    "<span class=\"kind\">"+e.kind+"</span> "+
+		    "<span class=\"name\">"+highlight(e.name,r.name)+"</span>"+
+		    (e.brief ? "<span class=\"brief\">"+highlight(e.brief,r.brief)+"</span>" : "")+
+		    (r.text && !r.name.length && !r.brief.length ? "<span class=\"text\">"+snippet(e.text,r.text)+"</span>" : "")+
+		    "</a></li>";
+	    }
+	    if(/\S/.test(query) && !results.length)
+		html = "<li class=\"none\">No results</li>";
+	    list.innerHTML = html;
+	    nav.className = (nav.className.replace(/(^|\s)searching(\s|$)/g," ")+(/\S/.test(query) ? " searching" : "")).replace(/^\s+|\s+$/g,"");
+	    select(active);
+	}
+	function select(i){
+	    var items = list.getElementsByTagName("a");
+	    for(var j=0; j<items.length; j++)
+		items[j].className = j==i ? "active" : "";
+	    active = i;
+	    if(items[i] && items[i].scrollIntoView)
+		items[i].scrollIntoView({ block:"nearest" });
+	}
+
+	input.oninput = update;
+	input.onkeydown = function(event){
+	    var key = event.key || event.keyCode;
+	    if((key=="ArrowDown" || key==40) && results.length){
+		select((active+1)%results.length);
+	    } else if((key=="ArrowUp" || key==38) && results.length){
+		select((active-1+results.length)%results.length);
+	    } else if((key=="Enter" || key==13) && active!=-1){
+		location.hash = "#"+results[active].entry.id;
+	    } else if(key=="Escape" || key=="Esc" || key==27){
+		input.value = "";
+		update();
+		input.blur();
+	    } else
+		return;
+	    event.preventDefault();
+	};
+	// Press / anywhere to search
+	document.addEventListener("keydown",function(event){
+	    var target = event.target.tagName;
+	    if(event.key=="/" && target!="INPUT" && target!="TEXTAREA"){
+		input.focus();
+		event.preventDefault();
+	    }
+	});
+    }
+
+    // Show only the section or entity that location.hash points to, and update when it changes, e.g. with the back and forward buttons.
+    // The entity is the element in a section of #content that holds the target, e.g. #classes-foo for #classes-foo-methods-bar. Other elements of the same kind in the section are hidden, the rest of it, like headings and tables without id, is kept.
+    // Like searchScript, this is put in the page as source code, so it can only use what is inside it.
+    function routerScript(){
+	var content = document.getElementById("content");
+	if(!content) return;
+
+	function children(element){
+	    var list = [];
+	    for(var node=element.firstChild; node; node=node.nextSibling)
+		if(node.nodeType==1)
+		    list.push(node);
+	    return list;
+	}
+	function show(element,visible){
+	    element.style.display = visible ? "" : "none";
+	}
+
+	// Elements hidden for the current location, shown again when it changes
+	var hidden = [];
+
+	function route(){
+	    var id = location.hash.substr(1), target = false;
+	    try { id = decodeURIComponent(id); } catch(e){}
+	    if(id)
+		target = document.getElementById(id);
+	    if(!target || target==content || !content.contains(target))
+		target = children(content)[0];
+	    if(!target) return;
+
+	    while(hidden.length)
+		show(hidden.pop(),true);
+
+	    // The section is the child of #content that has the target. The entity is the outermost element with an id in the section that has the target, if any.
+	    var section = target, entity = false;
+	    while(section.parentNode!=content){
+		if(section.id) entity = section;
+		section = section.parentNode;
+	    }
+	    var sections = children(content);
+	    for(var i=0; i<sections.length; i++)
+		show(sections[i],sections[i]==section);
+	    // Hide the other entities next to it, but not headings and other parts without an id
+	    var parts = entity ? children(entity.parentNode) : [];
+	    for(var i=0; i<parts.length; i++){
+		if(parts[i]!=entity && parts[i].id && parts[i].tagName==entity.tagName){
+		    show(parts[i],false);
+		    hidden.push(parts[i]);
+		}
+	    }
+
+	    if(target==section || target==entity)
+		window.scrollTo(0,0);
+	    else if(target.scrollIntoView)
+		target.scrollIntoView();
+	}
+
+	window.addEventListener("hashchange",route);
+	route();
     }
+
+    // The theme switcher, given the stylesheet of each theme and whether it has the same layout as the page. The stylesheet is changed right away.
+    // If the layout is different and doc.js is on the page, the page is loaded again so that Generate uses the new layout.
+    // Like searchScript, this is put in the page as source code, so it can only use what is inside it.
+    function themeScript(themes,storageKey){
+	var root = document.getElementById("themes"), link = document.getElementById("docjs-theme");
+	if(!root) return;
+	var select = root.getElementsByTagName("select")[0];
+
+	function use(name){
+	    select.value = name;
+	    if(link) link.href = themes[name].stylesheet;
+	}
+	function remember(name){
+	    try { localStorage.setItem(storageKey,name); } catch(e){}
+	}
+
+	// A saved page may have been made before the visitor chose another theme
+	var chosen = null;
+	try { chosen = localStorage.getItem(storageKey); } catch(e){}
+	if(chosen && themes.hasOwnProperty(chosen) && chosen!=select.value)
+	    use(chosen);
+
+	select.onchange = function(){
+	    remember(select.value);
+	    if(!themes[select.value].sameLayout && typeof(DOCJS)!="undefined" && DOCJS.Generate)
+		location.reload();
+	    else
+		use(select.value);
+	};
+    }
+
+    // The class hierarchy as a d3 dendrogram, given the trees from hierarchyToJSON. It replaces the list in the section, if d3 is on the page.
+    // Click a circle to collapse or expand the subclasses, and a name to go to the class. Undocumented classes get the class "undocumented".
+    // Like searchScript, this is put in the page as source code, so it can only use what is inside it and d3.
+    function hierarchyScript(roots){
+	var container = document.getElementById("hierarchy-tree");
+	if(!container || typeof(d3)=="undefined" || !d3.layout || !d3.layout.cluster) return;
+	var list = container.nextSibling;
+
+	// One tree, so that d3 can lay it out. The root is not drawn.
+	var root = { name:"", id:false, children:roots }, rowHeight = 24, labelWidth = 200;
+
+	function countLeaves(node){
+	    if(!node.children || !node.children.length) return 1;
+	    var n = 0;
+	    for(var i=0; i<node.children.length; i++)
+		n += countLeaves(node.children[i]);
+	    return n;
+	}
+	function toggle(node){
+	    if(node.children){
+		node._children = node.children;
+		node.children = null;
+	    } else {
+		node.children = node._children;
+		node._children = null;
+	    }
+	}
+
+	function draw(){
+	    container.innerHTML = "";
+	    var width = Math.max(container.offsetWidth || 0,600), height = countLeaves(root)*rowHeight;
+	    var cluster = d3.layout.cluster().size([height,width-labelWidth]);
+	    var nodes = cluster.nodes(root), links = cluster.links(nodes);
+	    nodes = nodes.filter(function(d){ return d!==root; });
+	    links = links.filter(function(d){ return d.source!==root; });
+
+	    // Start the first level at the left edge
+	    var left = Infinity;
+	    for(var i=0; i<nodes.length; i++)
+		left = Math.min(left,nodes[i].y);
+	    var svg = d3.select(container).append("svg")
+		.attr("width",width)
+		.attr("height",height+rowHeight)
+		.append("g")
+		.attr("transform","translate("+(10-left)+","+(rowHeight/2)+")");
+
+	    var diagonal = d3.svg.diagonal().projection(function(d){ return [d.y,d.x]; });
+	    svg.selectAll("path.link").data(links).enter().append("path")
+		.attr("class","link")
+		.attr("d",diagonal);
+
+	    var node = svg.selectAll("g.node").data(nodes).enter().append("g")
+		.attr("class",function(d){ return "node"+(d.id ? "" : " undocumented")+(d._children ? " collapsed" : ""); })
+		.attr("transform",function(d){ return "translate("+d.y+","+d.x+")"; });
+	    node.append("circle")
+		.attr("r",4.5)
+		.style("cursor",function(d){ return d.children || d._children ? "pointer" : null; })
+		.on("click",function(d){
+		    if(!d.children && !d._children) return;
+		    toggle(d);
+		    draw();
+		});
+	    node.append("text")
+		.attr("dx",8)
+		.attr("dy",3)
+		.style("cursor",function(d){ return d.id ? "pointer" : null; })
+		.text(function(d){ return d.name; })
+		.on("click",function(d){
+		    if(d.id) location.hash = "#"+d.id;
+		});
+	}
+
+	draw();
+	if(list) list.style.display = "none";
+    }
+
+    // Load all files. The callback gets their texts when all of them have arrived, in the order of the urls, false for a file that could not be loaded.
+    function loadFiles(urls,callback){
+	var numLoaded = 0;
+	var texts = [];
+	for(var i=0; i<urls.length; i++)
+	    loadFile(i);
+	if(!urls.length)
+	    callback(texts);
+
+	function loadFile(i){
+	    options.loadFile(urls[i],function(data){
+		texts[i] = data;
+		loaded(i);
+	    },function(){
+		texts[i] = false;
+		loaded(i);
+	    });
+	}
+	function loaded(i){
+	    numLoaded++;
+	    options.progress(numLoaded,urls.length,urls[i]);
+	    if(numLoaded==urls.length)
+		callback(texts);
+	}
+    }
+
+    // Parse the texts from loadFiles in the order of the urls, so that the blocks, errors and their ids do not depend on which file loads first.
+    // Returns the blocks, the errors, and the source texts by url.
+    function parseFiles(urls,texts){
+	var blocks = [], errors = [], sources = {};
+	for(var j=0; j<urls.length; j++){
+	    if(texts[j]===false)
+		errors.push(new DOCJS.ErrorReport(urls[j],1,"Could not load the file.","load-failed","error"));
+	    else {
+		blocks = blocks.concat(parseBlocks(texts[j],urls[j],errors));
+		sources[urls[j]] = texts[j];
+	    }
+	}
+	return { blocks:blocks, errors:errors, sources:sources };
+    }
+
+    // Load documentation that was exported with Documentation.toJSON. The callback gets the parsed JSON, or false, and the errors.
+    function loadJSON(url,callback){
+	options.loadFile(url,function(data){
+	    var json, errors = [];
+	    try {
+		json = typeof(data)=="string" ? JSON.parse(data) : data;
+	    } catch(e){
+		errors.push(new DOCJS.ErrorReport(url,1,"Could not parse the documentation JSON: "+e.message,"invalid-json","error"));
+	    }
+	    callback(json,errors);
+	},function(){
+	    callback(false,[new DOCJS.ErrorReport(url,1,"Could not load the documentation JSON.","load-failed","error")]);
+	});
+    }
+
+    // Start when everything above is defined, since a JSON object is rendered right away
+    var resolveRendered = false, rejectRendered = false;
+    var rendered = typeof(Promise)!="undefined" ? new Promise(function(resolve,reject){ resolveRendered = resolve; rejectRendered = reject; }) : undefined;
+    // Make the documentation with makeDoc and render it. This mostly runs after the files have loaded, where nobody can catch what is thrown, so the promise is rejected instead.
+    function render(makeDoc){
+	try {
+	    var doc = makeDoc();
+	    updateHTML(doc);
+	} catch(e){
+	    if(!rejectRendered)
+		throw e;
+	    rejectRendered(e);
+	    return;
+	}
+	if(resolveRendered)
+	    resolveRendered(doc);
+    }
+    if(typeof(urls)=="string")
+	urls = [urls];
+    if(Object.prototype.toString.call(urls)!="[object Array]"){
+	render(function(){ return entitiesFromJSON(urls,[]); });
+    } else if(urls.length==1 && /\.json$/i.test(urls[0])){
+	loadJSON(urls[0],function(json,errors){
+	    render(function(){ return entitiesFromJSON(json,errors); });
+	});
+    } else {
+	loadFiles(urls,function(texts){
+	    render(function(){
+		var parsed = parseFiles(urls,texts);
+		return makeEntities(parsed.blocks,parsed.errors,urls,parsed.sources);
+	    });
+	});
+    }
+    return rendered;
 };
 
+// Node.js
+if(typeof(module)!="undefined" && module.exports)
+    module.exports = DOCJS;
+
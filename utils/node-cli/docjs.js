@@ -0,0 +1,155 @@
+#!/usr/bin/env node
+// Load external node.js modules
+var fs = require('fs')
+, path = require('path')
+, glob = require('glob');
+
+var root = path.join(__dirname,'..','..');
+var DOCJS = require(path.join(root,'doc.js'));
+
+// doc.js uses the same global Markdown object as in the browser
+global.Markdown = require(path.join(root,'libs','pagedown','Markdown.Sanitizer.js'));
+
+var usage = [
+    "Usage: docjs [options] <file or glob>...",
+    "",
+    "Options:",
+    "  -o, --out <dir>          Output directory, default \"docs\"",
+    "  --title <text>           Title, if there is no @library block",
+    "  --description <text>     Description, if there is no @library block",
+    "  --theme <name>           Theme, \"lettering\" (default) or \"default\"",
+    "  --theme-switcher         Let the readers choose the theme",
+    "  --infer                  Infer names and params from the code after each block",
+    "  --json <file>            Also write the documentation as JSON to a file",
+    "  --coverage <file>        Also write the documentation coverage as JSON to a file",
+    "  --min-coverage <percent> Exit with an error if the total coverage is lower",
+    "  -h, --help               Show this help"
+].join("\n");
+
+// Parse arguments
+var args = process.argv.slice(2);
+var patterns = [], out = "docs", json = false, coverage = false, minCoverage = false, opt = { theme:"lettering" };
+for(var i=0; i<args.length; i++){
+    switch(args[i]){
+    case "-o":
+    case "--out":         out = args[++i]; break;
+    case "--title":       opt.title = args[++i]; break;
+    case "--description": opt.description = args[++i]; break;
+    case "--template": // Old name of --theme
+    case "--theme":       opt.theme = args[++i]; break;
+    case "--theme-switcher": opt.themeSwitcher = true; break;
+    case "--infer":       opt.inferFromCode = true; break;
+    case "--json":        json = args[++i]; break;
+    case "--coverage":    coverage = args[++i]; break;
+    case "--min-coverage":
+	minCoverage = parseFloat(args[++i]);
+	if(isNaN(minCoverage)){
+	    console.error("--min-coverage needs a number\n\n"+usage);
+	    process.exit(1);
+	}
+	break;
+    case "-h":
+    case "--help":
+	console.log(usage);
+	process.exit(0);
+    default:
+	if(args[i].charAt(0)=="-"){
+	    console.error("Unknown option "+args[i]+"\n\n"+usage);
+	    process.exit(1);
+	}
+	patterns.push(args[i]);
+    }
+}
+
+// Expand the globs, keep the order of the patterns
+var files = [];
+for(var i=0; i<patterns.length; i++){
+    var matches = glob.sync(patterns[i],{ nodir:true });
+    if(!matches.length)
+	console.error("Warning: "+patterns[i]+" did not match any files");
+    matches.sort();
+    for(var j=0; j<matches.length; j++)
+	if(files.indexOf(matches[j])==-1)
+	    files.push(matches[j]);
+}
+if(!files.length){
+    console.error("No input files.\n\n"+usage);
+    process.exit(1);
+}
+
+if(!DOCJS.themes.hasOwnProperty(opt.theme)){
+    console.error("Unknown theme "+opt.theme+", the themes are: "+Object.keys(DOCJS.themes).join(", "));
+    process.exit(1);
+}
+
+opt.loadFile = function(url,success,error){
+    fs.readFile(url,'utf8',function(err,text){
+	if(err) error(err);
+	else success(text);
+    });
+};
+
+function escapeHTML(s){
+    return (s+"").replace(/&/g,"&amp;").replace(/</g,"&lt;").replace(/>/g,"&gt;").replace(/"/g,"&quot;");
+}
+
+opt.output = function(html,doc){
+    // Same title as in the page, where doc.js uses "Untitled" if there is no title
+    var title = escapeHTML(doc.library ? doc.library.getName() : (opt.title || "Untitled"));
+    var page = [
+	"<!DOCTYPE html>",
+	"<html>",
+	"  <head>",
+	"    <title>"+title+"</title>",
+	"    <meta charset=\"utf-8\" />",
+	"    <link rel=\"stylesheet\" type=\"text/css\" href=\"dendogram.css\"/>",
+	"    <script src=\"libs/d3/d3.js\"></script>",
+	"  </head>",
+	"  <body>",
+	html,
+	"  </body>",
+	"</html>"
+    ].join("\n");
+
+    fs.mkdirSync(out,{ recursive:true });
+    fs.writeFileSync(path.join(out,'index.html'),page);
+
+    // The class hierarchy diagram
+    fs.mkdirSync(path.join(out,'libs','d3'),{ recursive:true });
+    fs.copyFileSync(path.join(root,'libs','d3','d3.js'),path.join(out,'libs','d3','d3.js'));
+    fs.copyFileSync(path.join(root,'dendogram.css'),path.join(out,'dendogram.css'));
+
+    // The stylesheets of the themes that the page can use
+    var themes = opt.themeSwitcher ? Object.keys(DOCJS.themes) : [opt.theme];
+    for(var i=0; i<themes.length; i++){
+	var stylesheet = DOCJS.themes[themes[i]].stylesheet;
+	fs.mkdirSync(path.dirname(path.join(out,stylesheet)),{ recursive:true });
+	fs.copyFileSync(path.join(root,stylesheet),path.join(out,stylesheet));
+    }
+
+    var counts = { error:0, warning:0, info:0 };
+    for(var i=0; i<doc.errors.length; i++)
+	counts[doc.errors[i].severity]++;
+    console.log("Wrote "+path.join(out,'index.html')+" from "+files.length+" file(s), "+counts.error+" error(s), "+counts.warning+" warning(s).");
+
+    if(json){
+	fs.writeFileSync(json,JSON.stringify(doc,null,2));
+	console.log("Wrote "+json);
+    }
+
+    var stats = doc.getCoverage();
+    if(coverage){
+	fs.writeFileSync(coverage,JSON.stringify(stats,null,2));
+	console.log("Wrote "+coverage);
+    }
+    console.log("Coverage: "+stats.total.percent+"%");
+    if(minCoverage!==false && stats.total.percent < minCoverage){
+	console.error("Coverage "+stats.total.percent+"% is below the minimum "+minCoverage+"%");
+	process.exitCode = 1;
+    }
+};
+
+DOCJS.Generate(files,opt).catch(function(e){
+    console.error(e.message);
+    process.exit(1);
+});
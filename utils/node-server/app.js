@@ -51,6 +51,20 @@ app.get('/libs/pagedown/Markdown.Sanitizer.js', function(req, res){
     });
 });
 
+app.get('/libs/d3/d3.js', function(req, res){
+    fs.readFile(__dirname + '/../../libs/d3/d3.js', 'utf8', function(err, text){
+	res.setHeader('Content-Type', "text/javascript");
+        res.send(text);
+    });
+});
+
+app.get('/dendogram.css', function(req, res){
+    fs.readFile(__dirname + '/../../dendogram.css', 'utf8', function(err, text){
+	res.setHeader('Content-Type', "text/css");
+        res.send(text);
+    });
+});
+
 app.get('/README.markdown', function(req, res){
     fs.readFile(__dirname + '/../../README.markdown', 'utf8', function(err, text){
 	//res.setHeader('Content-Type', "text/javascript");